@@ -0,0 +1,124 @@
+// Approval policy for priced proposals.
+// The 'approvals' setting decides who must sign off a quote: under cooApprovalLimit a COO or a Director
+// may approve, from there a Director must, and from dualDirectorThreshold two different Directors must.
+// A margin under minMarginPercent always needs a Director. Thresholds are in the policy currency; quotes
+// are converted at their pricing-date exchange rate, and a quote that cannot be converted needs a Director.
+//
+// Each sign-off is appended to proposal.approvals as { uid, name, role, decision, comments, at, round }.
+// approvalRound goes up every time the proposal (re-)enters pending_director_approval, so approvals
+// given before a revision do not count towards the next one.
+const { CURRENCIES, findRate, pricingDate } = require('./_currency');
+
+const DEFAULT_APPROVAL_POLICY = {
+    currency: 'USD',
+    cooApprovalLimit: 50000,
+    dualDirectorThreshold: 250000,
+    minMarginPercent: 15
+};
+
+const LEVELS = {
+    coo: { label: 'COO or Director', approverRoles: ['coo', 'director'], approvalsRequired: 1 },
+    director: { label: 'Director', approverRoles: ['director'], approvalsRequired: 1 },
+    dual_director: { label: 'two Directors', approverRoles: ['director'], approvalsRequired: 2 }
+};
+
+// Validates the 'approvals' setting. Returns { value } or { error }.
+function validateApprovalPolicy(value) {
+    const policy = { ...DEFAULT_APPROVAL_POLICY, ...value };
+    if (!CURRENCIES.includes(policy.currency)) {
+        return { error: `Policy currency must be one of: ${CURRENCIES.join(', ')}` };
+    }
+    const cooApprovalLimit = parseFloat(policy.cooApprovalLimit);
+    const dualDirectorThreshold = parseFloat(policy.dualDirectorThreshold);
+    const minMarginPercent = parseFloat(policy.minMarginPercent);
+    if (!Number.isFinite(cooApprovalLimit) || cooApprovalLimit < 0) {
+        return { error: 'COO approval limit must be 0 or more.' };
+    }
+    if (!Number.isFinite(dualDirectorThreshold) || dualDirectorThreshold <= cooApprovalLimit) {
+        return { error: 'The two-Director threshold must be above the COO approval limit.' };
+    }
+    if (!Number.isFinite(minMarginPercent) || minMarginPercent < 0 || minMarginPercent > 100) {
+        return { error: 'Minimum margin must be between 0 and 100%.' };
+    }
+    return { value: { currency: policy.currency, cooApprovalLimit, dualDirectorThreshold, minMarginPercent } };
+}
+
+// What the policy requires for this proposal's quote:
+// { level, label, approverRoles, approvalsRequired, quoteValue, currency, reasons }
+function approvalRequirement(proposal, policy, rates) {
+    const amount = parseFloat(proposal.pricing?.quoteValue) || 0;
+    const quoteCurrency = proposal.pricing?.currency || 'USD';
+    const rate = findRate(rates, quoteCurrency, policy.currency, pricingDate(proposal));
+    const quoteValue = rate === null ? null : Math.round(amount * rate * 100) / 100;
+    const money = n => `${policy.currency} ${Number(n).toLocaleString('en-US')}`;
+
+    const reasons = [];
+    let level;
+    if (quoteValue === null) {
+        level = 'director';
+        reasons.push(`No ${quoteCurrency} to ${policy.currency} exchange rate covers the pricing date`);
+    } else if (quoteValue >= policy.dualDirectorThreshold) {
+        level = 'dual_director';
+        reasons.push(`Quote of ${money(quoteValue)} is at or above ${money(policy.dualDirectorThreshold)}`);
+    } else if (quoteValue >= policy.cooApprovalLimit) {
+        level = 'director';
+        reasons.push(`Quote of ${money(quoteValue)} is at or above ${money(policy.cooApprovalLimit)}`);
+    } else {
+        level = 'coo';
+        reasons.push(`Quote of ${money(quoteValue)} is under ${money(policy.cooApprovalLimit)}`);
+    }
+
+    const margin = parseFloat(proposal.pricing?.profitMargin);
+    if (Number.isFinite(margin) && margin < policy.minMarginPercent) {
+        if (level === 'coo') level = 'director';
+        reasons.push(`Margin of ${margin}% is below the ${policy.minMarginPercent}% floor`);
+    }
+
+    return { level, ...LEVELS[level], quoteValue, currency: policy.currency, reasons };
+}
+
+function currentRound(proposal) {
+    return proposal.approvalRound || 1;
+}
+
+// Approvals given in the current round
+function currentApprovals(proposal) {
+    const round = currentRound(proposal);
+    return (proposal.approvals || []).filter(a => a.round === round && a.decision === 'approved');
+}
+
+// Approvals that count towards the requirement: one per person, from an eligible role
+function approvalProgress(proposal, requirement) {
+    const counted = [];
+    for (const approval of currentApprovals(proposal)) {
+        if (requirement.approverRoles.includes(approval.role) && !counted.some(a => a.uid === approval.uid)) {
+            counted.push(approval);
+        }
+    }
+    return {
+        received: counted.length,
+        required: requirement.approvalsRequired,
+        satisfied: counted.length >= requirement.approvalsRequired,
+        approvedBy: counted
+    };
+}
+
+// Why `user` cannot approve now ({ status, error }), or null when they can
+function approvalBlocker(proposal, requirement, user) {
+    if (!requirement.approverRoles.includes(user.role)) {
+        return { status: 403, error: `This quote needs approval by ${requirement.label}: ${requirement.reasons.join('; ')}.` };
+    }
+    if (currentApprovals(proposal).some(a => a.uid === user.uid)) {
+        return { status: 409, error: `You have already approved this proposal. It still needs approval by ${requirement.label}.` };
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_APPROVAL_POLICY,
+    validateApprovalPolicy,
+    approvalRequirement,
+    approvalProgress,
+    approvalBlocker,
+    currentRound
+};
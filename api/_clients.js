@@ -0,0 +1,111 @@
+// Client records: validation and name matching.
+// "ACME Steel", "Acme Steel Ltd" and "ACME" should resolve to one client, so names are compared
+// after normalization (case, punctuation, legal suffixes) and scored for similarity.
+const { COUNTRIES } = require('./_rate-cards');
+
+const LEGAL_SUFFIXES = ['ltd', 'limited', 'inc', 'incorporated', 'llc', 'llp', 'pty', 'plc', 'co', 'corp', 'corporation', 'company', 'gmbh', 'group'];
+
+// Scores at or above this are offered as suggestions; an exact normalized match scores 1
+const SUGGESTION_THRESHOLD = 0.6;
+
+function normalizeClientName(name = '') {
+    return name
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(token => token && !LEGAL_SUFFIXES.includes(token))
+        .join(' ');
+}
+
+function levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+// 0..1 similarity of two client names. One name being a whole-word prefix of the
+// other ("acme" / "acme steel") scores high even though the edit distance is large.
+function clientNameSimilarity(a, b) {
+    const x = normalizeClientName(a);
+    const y = normalizeClientName(b);
+    if (!x || !y) return 0;
+    if (x === y) return 1;
+
+    const editScore = 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+    const [shorter, longer] = x.length <= y.length ? [x, y] : [y, x];
+    const prefixScore = (longer === shorter || longer.startsWith(`${shorter} `)) ? 0.85 : 0;
+    return Math.max(editScore, prefixScore);
+}
+
+// True when `name` is the client's name or one of its aliases once normalized
+function isSameClient(client, name) {
+    const normalized = normalizeClientName(name);
+    return Boolean(normalized) && (client.normalizedName === normalized || (client.aliases || []).some(alias => normalizeClientName(alias) === normalized));
+}
+
+// Existing clients resembling `name`, best first: [{ client, score }]
+function suggestClients(name, clients, limit = 5) {
+    return clients
+        .map(client => ({ client, score: Math.round(clientNameSimilarity(name, client.name) * 100) / 100 }))
+        .filter(match => match.score >= SUGGESTION_THRESHOLD)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Validates a create/update body. Returns { client } with normalized fields or { error }.
+function validateClient(input = {}) {
+    const name = (input.name || '').trim();
+    if (!name) return { error: 'Client name is required.' };
+    const normalizedName = normalizeClientName(name);
+    // "Co." or "Ltd" alone would match every other nameless client
+    if (!normalizedName) return { error: `Client name "${name}" needs more than punctuation and legal suffixes.` };
+
+    const billingCountry = input.billingCountry || 'Not Specified';
+    if (billingCountry !== 'Not Specified' && !COUNTRIES.includes(billingCountry)) {
+        return { error: `Billing country must be one of: ${COUNTRIES.join(', ')}` };
+    }
+
+    const contacts = [];
+    for (const contact of input.contacts || []) {
+        const contactName = (contact.name || '').trim();
+        const email = (contact.email || '').trim().toLowerCase();
+        if (!contactName) return { error: 'Every contact needs a name.' };
+        if (email && !EMAIL_PATTERN.test(email)) return { error: `Invalid email for contact ${contactName}: ${email}` };
+        contacts.push({
+            name: contactName,
+            email,
+            phone: (contact.phone || '').trim(),
+            role: (contact.role || '').trim()
+        });
+    }
+
+    return {
+        client: {
+            name,
+            normalizedName,
+            billingCountry,
+            contacts,
+            notes: (input.notes || '').trim()
+        }
+    };
+}
+
+// Contacts of two clients combined; the same email (or name when no email) is kept once
+function mergeContacts(target = [], source = []) {
+    const key = contact => contact.email || contact.name.toLowerCase();
+    const seen = new Set(target.map(key));
+    return [...target, ...source.filter(contact => !seen.has(key(contact)))];
+}
+
+module.exports = { normalizeClientName, clientNameSimilarity, isSameClient, suggestClients, validateClient, mergeContacts };
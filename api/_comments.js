@@ -0,0 +1,55 @@
+// Proposal comments (proposals/{id}/comments): threaded replies and @mentions.
+// A mention is '@' followed by a user's full name ('@Jane Smith') or the name without spaces
+// ('@JaneSmith'), matched case-insensitively; longer names win so '@Jo Smith' is not read as '@Jo'.
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// Validates a create/edit body. Returns { body } or { error }.
+function validateCommentBody(input) {
+    const body = typeof input === 'string' ? input.trim() : '';
+    if (!body) return { error: 'Comment cannot be empty.' };
+    if (body.length > MAX_COMMENT_LENGTH) return { error: `Comments are limited to ${MAX_COMMENT_LENGTH} characters.` };
+    return { body };
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Users mentioned in `body`, from `users` ({ uid, name, role }). Each user is returned once.
+function findMentions(body, users) {
+    const candidates = users
+        .filter(user => user.name)
+        .flatMap(user => [user.name, user.name.replace(/\s+/g, '')].map(token => ({ user, token })))
+        .sort((a, b) => b.token.length - a.token.length);
+
+    const mentioned = new Map();
+    let remaining = body;
+    for (const { user, token } of candidates) {
+        const pattern = new RegExp(`(?<![\\w])@${escapeRegExp(token)}(?![\\w])`, 'gi');
+        if (pattern.test(remaining)) {
+            mentioned.set(user.uid, { uid: user.uid, name: user.name, role: user.role });
+            // Blank out the match so a shorter name inside it is not mentioned too
+            remaining = remaining.replace(pattern, ' ');
+        }
+    }
+    return [...mentioned.values()];
+}
+
+// Nests comments under their parent, oldest first at every level. Replies whose parent is
+// missing are kept at the top level rather than dropped.
+function buildThreads(comments) {
+    const byId = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+    const roots = [];
+    for (const comment of byId.values()) {
+        const parent = comment.parentId ? byId.get(comment.parentId) : null;
+        if (parent) parent.replies.push(comment);
+        else roots.push(comment);
+    }
+    const byCreated = (a, b) => (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0);
+    const sortTree = list => list.sort(byCreated).forEach(comment => sortTree(comment.replies));
+    sortTree(roots);
+    return roots;
+}
+
+module.exports = { MAX_COMMENT_LENGTH, validateCommentBody, findMentions, buildThreads };
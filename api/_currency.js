@@ -0,0 +1,85 @@
+// Currency conversion for reporting.
+// Exchange rates are entered by the Director as { fromCurrency, toCurrency, rate, effectiveFrom }:
+// one unit of fromCurrency buys `rate` units of toCurrency from effectiveFrom onwards.
+// Proposal amounts always keep their original currency; conversion only happens for aggregates.
+
+const CURRENCIES = ['USD', 'AUD', 'CAD', 'EUR', 'GBP'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validates a create/update body. Returns { exchangeRate } or { error }.
+function validateExchangeRate(input = {}) {
+    const { fromCurrency, toCurrency } = input;
+    if (!CURRENCIES.includes(fromCurrency) || !CURRENCIES.includes(toCurrency)) {
+        return { error: `Currencies must be one of: ${CURRENCIES.join(', ')}` };
+    }
+    if (fromCurrency === toCurrency) {
+        return { error: 'From and To currencies must differ.' };
+    }
+
+    const rate = parseFloat(input.rate);
+    if (!Number.isFinite(rate) || rate <= 0) {
+        return { error: 'Exchange rate must be greater than 0.' };
+    }
+    if (!DATE_PATTERN.test(input.effectiveFrom || '')) {
+        return { error: 'Effective From must be a date in YYYY-MM-DD format.' };
+    }
+
+    return { exchangeRate: { fromCurrency, toCurrency, rate, effectiveFrom: input.effectiveFrom } };
+}
+
+// Latest rate for from → to in effect on `date`, using the inverse pair when only that was entered.
+// Returns null when no rate covers the date.
+function findRate(rates, fromCurrency, toCurrency, date) {
+    if (fromCurrency === toCurrency) return 1;
+
+    const candidates = rates
+        .filter(r => r.effectiveFrom <= date)
+        .filter(r => (r.fromCurrency === fromCurrency && r.toCurrency === toCurrency) ||
+                     (r.fromCurrency === toCurrency && r.toCurrency === fromCurrency))
+        .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+
+    if (candidates.length === 0) return null;
+    const latest = candidates[0];
+    return latest.fromCurrency === fromCurrency ? latest.rate : 1 / latest.rate;
+}
+
+// The date a proposal's quote is converted at: the day it was priced, falling back to creation
+function pricingDate(proposal) {
+    const pricedAt = proposal.pricing?.pricedAt;
+    if (pricedAt) return String(pricedAt).slice(0, 10);
+    const createdAt = proposal.createdAt?.toDate ? proposal.createdAt.toDate() : proposal.createdAt;
+    return createdAt ? new Date(createdAt).toISOString().slice(0, 10) : new Date().toISOString().slice(0, 10);
+}
+
+// Sums proposals' quote values in the reporting currency.
+// Returns { total, byCurrency, unconverted }: byCurrency keeps the original-currency sums and
+// unconverted lists proposals left out because no exchange rate covered their pricing date.
+function sumQuoteValues(proposals, rates, reportingCurrency) {
+    const summary = { total: 0, byCurrency: {}, unconverted: [] };
+
+    for (const proposal of proposals) {
+        const amount = parseFloat(proposal.pricing?.quoteValue) || 0;
+        if (amount === 0) continue;
+
+        const currency = proposal.pricing.currency || 'USD';
+        summary.byCurrency[currency] = (summary.byCurrency[currency] || 0) + amount;
+
+        const date = pricingDate(proposal);
+        const rate = findRate(rates, currency, reportingCurrency, date);
+        if (rate === null) {
+            summary.unconverted.push({ proposalId: proposal.id, projectName: proposal.projectName, currency, amount, pricingDate: date });
+            continue;
+        }
+        summary.total += amount * rate;
+    }
+
+    summary.total = Math.round(summary.total * 100) / 100;
+    return summary;
+}
+
+function formatMoney(amount, currency) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+}
+
+module.exports = { CURRENCIES, validateExchangeRate, findRate, pricingDate, sumQuoteValues, formatMoney };
@@ -0,0 +1,90 @@
+// Line-item estimations (bill of quantities).
+// An estimator may build add_estimation from lineItems instead of the flat hour fields. Each line is a
+// piece of work for one service and discipline, measured in a unit (hours, tons, drawings or sheets)
+// and converted to hours at a productivity rate in hours per unit; lines in hours take their quantity as
+// is. The server computes each line's hours and the subtotals, and derives the flat fields pricing,
+// reports and older views read: the five hour buckets, totalHours, tonnage and services.
+const { HOUR_BUCKETS } = require('./_pricing');
+const { SERVICES } = require('./_rate-cards');
+
+const LINE_UNITS = ['hours', 'tons', 'drawings', 'sheets'];
+const MAX_LINE_ITEMS = 300;
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Validates lineItems and computes the estimation fields they imply. Returns { estimation } or { error }.
+function buildLineItemEstimation(lineItems) {
+    if (!Array.isArray(lineItems) || lineItems.length === 0) {
+        return { error: 'Add at least one line item to the estimation.' };
+    }
+    if (lineItems.length > MAX_LINE_ITEMS) {
+        return { error: `An estimation holds at most ${MAX_LINE_ITEMS} line items.` };
+    }
+
+    const lines = [];
+    for (const [index, item] of lineItems.entries()) {
+        const row = `Line ${index + 1}`;
+        if (!SERVICES.includes(item?.service)) {
+            return { error: `${row}: service must be one of: ${SERVICES.join(', ')}` };
+        }
+        if (!HOUR_BUCKETS.some(bucket => bucket.key === item.discipline)) {
+            return { error: `${row}: discipline must be one of: ${HOUR_BUCKETS.map(bucket => bucket.key).join(', ')}` };
+        }
+        const description = typeof item.description === 'string' ? item.description.trim() : '';
+        if (!description) return { error: `${row}: describe the work.` };
+        if (!LINE_UNITS.includes(item.unit)) {
+            return { error: `${row}: unit must be one of: ${LINE_UNITS.join(', ')}` };
+        }
+        const quantity = parseFloat(item.quantity);
+        if (!Number.isFinite(quantity) || quantity <= 0) return { error: `${row}: quantity must be more than 0.` };
+        const productivityRate = item.unit === 'hours' ? 1 : parseFloat(item.productivityRate);
+        if (!Number.isFinite(productivityRate) || productivityRate < 0) {
+            return { error: `${row}: productivity rate (hours per ${item.unit.replace(/s$/, '')}) must be 0 or more.` };
+        }
+
+        lines.push({
+            service: item.service,
+            discipline: item.discipline,
+            description: description.slice(0, 200),
+            unit: item.unit,
+            quantity,
+            productivityRate,
+            hours: round(quantity * productivityRate),
+            notes: typeof item.notes === 'string' ? item.notes.trim().slice(0, 500) : ''
+        });
+    }
+
+    const emptyBuckets = () => Object.fromEntries(HOUR_BUCKETS.map(bucket => [bucket.key, 0]));
+    const byDiscipline = emptyBuckets();
+    const byService = {};
+    // Tons measured per discipline: detailing and checking the same steel must not count it twice
+    const tonsByDiscipline = emptyBuckets();
+    for (const line of lines) {
+        byDiscipline[line.discipline] += line.hours;
+        if (!byService[line.service]) byService[line.service] = { hours: 0, byDiscipline: emptyBuckets() };
+        byService[line.service].hours += line.hours;
+        byService[line.service].byDiscipline[line.discipline] += line.hours;
+        if (line.unit === 'tons') tonsByDiscipline[line.discipline] += line.quantity;
+    }
+    for (const key of Object.keys(byDiscipline)) byDiscipline[key] = round(byDiscipline[key]);
+    for (const subtotal of Object.values(byService)) {
+        subtotal.hours = round(subtotal.hours);
+        for (const key of Object.keys(subtotal.byDiscipline)) subtotal.byDiscipline[key] = round(subtotal.byDiscipline[key]);
+    }
+
+    return {
+        estimation: {
+            lineItems: lines,
+            subtotals: { byService, byDiscipline },
+            // Legacy flat fields
+            ...byDiscipline,
+            totalHours: round(Object.values(byDiscipline).reduce((sum, hours) => sum + hours, 0)),
+            tonnage: round(Math.max(...Object.values(tonsByDiscipline))),
+            services: SERVICES.filter(service => byService[service])
+        }
+    };
+}
+
+module.exports = { LINE_UNITS, buildLineItemEstimation };
@@ -0,0 +1,141 @@
+// Client follow-ups for proposals in submitted_to_client.
+// Submitting stamps proposal.followUp with the submission date and a first contact date intervalDays
+// later (the 'followUps' setting). Each log_follow_up records a contact and the next date, which the BDM
+// may choose. The 'follow-up-reminders' cron job (sendFollowUpReminders) reminds the owning BDM once per
+// due date, and submissions older than staleAfterDays are flagged stale on the BDM dashboard.
+const admin = require('./_firebase-admin');
+const { isTrashed } = require('./_trash');
+const { ownerUidOf } = require('./_ownership');
+
+const db = admin.firestore();
+
+const DEFAULT_FOLLOW_UPS = { intervalDays: 7, staleAfterDays: 30 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validates the 'followUps' setting. Returns { value } or { error }.
+function validateFollowUpSettings(value) {
+    const intervalDays = parseInt(value.intervalDays ?? DEFAULT_FOLLOW_UPS.intervalDays, 10);
+    const staleAfterDays = parseInt(value.staleAfterDays ?? DEFAULT_FOLLOW_UPS.staleAfterDays, 10);
+    if (!Number.isInteger(intervalDays) || intervalDays < 1 || intervalDays > 90) {
+        return { error: 'Follow-up interval must be between 1 and 90 days.' };
+    }
+    if (!Number.isInteger(staleAfterDays) || staleAfterDays < 1 || staleAfterDays > 365) {
+        return { error: 'Stale submissions must be flagged after 1 to 365 days.' };
+    }
+    return { value: { intervalDays, staleAfterDays } };
+}
+
+function todayIsoDate(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+}
+
+function addDays(isoDate, days) {
+    return new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(fromIsoDate, toIsoDate) {
+    return Math.round((Date.parse(`${toIsoDate}T00:00:00Z`) - Date.parse(`${fromIsoDate}T00:00:00Z`)) / DAY_MS);
+}
+
+// The followUp stamp for a proposal submitted on `submittedOn` (YYYY-MM-DD)
+function submissionFollowUp(submittedOn, settings) {
+    return {
+        submittedOn,
+        nextContactOn: addDays(submittedOn, settings.intervalDays),
+        lastContactOn: null,
+        contactCount: 0
+    };
+}
+
+// Validates a log_follow_up body against the current stamp. Returns { followUp, notes } or { error }.
+function logFollowUp(proposal, data, settings, now = new Date()) {
+    const notes = typeof data.notes === 'string' ? data.notes.trim() : '';
+    if (!notes) return { error: 'Describe the follow-up.' };
+    const today = todayIsoDate(now);
+    const nextContactOn = data.nextContactOn || addDays(today, settings.intervalDays);
+    if (!DATE_PATTERN.test(nextContactOn)) return { error: 'Next contact date must be in YYYY-MM-DD format.' };
+    if (nextContactOn <= today) return { error: 'Next contact date must be in the future.' };
+
+    const current = proposal.followUp || submissionFollowUp(submittedOnOf(proposal), settings);
+    return {
+        notes,
+        followUp: {
+            ...current,
+            nextContactOn,
+            lastContactOn: today,
+            contactCount: (current.contactCount || 0) + 1
+        }
+    };
+}
+
+// Submission date, for proposals submitted before follow-ups were tracked taken from the change log
+function submittedOnOf(proposal) {
+    if (proposal.followUp?.submittedOn) return proposal.followUp.submittedOn;
+    const entry = [...(proposal.changeLog || [])].reverse().find(e => e.action === 'submit_to_client');
+    if (entry?.timestamp) return String(entry.timestamp).slice(0, 10);
+    const ts = proposal.updatedAt || proposal.createdAt;
+    const seconds = ts && (ts.seconds ?? ts._seconds);
+    return todayIsoDate(seconds ? new Date(seconds * 1000) : new Date());
+}
+
+// Follow-up state of a submitted proposal as of `now`:
+// { submittedOn, nextContactOn, due, daysSinceSubmission, stale }
+function followUpStatus(proposal, settings, now = new Date()) {
+    if (proposal.status !== 'submitted_to_client') return null;
+    const today = todayIsoDate(now);
+    const submittedOn = submittedOnOf(proposal);
+    const nextContactOn = proposal.followUp?.nextContactOn || addDays(submittedOn, settings.intervalDays);
+    const daysSinceSubmission = daysBetween(submittedOn, today);
+    return {
+        submittedOn,
+        nextContactOn,
+        lastContactOn: proposal.followUp?.lastContactOn || null,
+        due: nextContactOn <= today,
+        daysSinceSubmission,
+        stale: daysSinceSubmission >= settings.staleAfterDays
+    };
+}
+
+// Reminds the owning BDM about every submitted proposal whose next contact date has arrived. Each date
+// is reminded once (followUpRemindedFor), so the job can run as often as needed. Returns counts.
+async function sendFollowUpReminders(settings, now = new Date()) {
+    const result = { checked: 0, reminded: 0 };
+    const snapshot = await db.collection('proposals').where('status', '==', 'submitted_to_client').get();
+
+    for (const doc of snapshot.docs) {
+        const proposal = doc.data();
+        if (isTrashed(proposal)) continue;
+        result.checked++;
+
+        const state = followUpStatus(proposal, settings, now);
+        if (!state.due || proposal.followUpRemindedFor === state.nextContactOn) continue;
+
+        const batch = db.batch();
+        batch.set(db.collection('notifications').doc(), {
+            type: 'follow_up_due',
+            recipientRole: 'bdm',
+            recipientUid: ownerUidOf(proposal),
+            proposalId: doc.id,
+            message: `Follow up with ${proposal.clientCompany} on ${proposal.projectName}: submitted ${state.daysSinceSubmission} day(s) ago${state.stale ? ' and now stale' : ''}`,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            isRead: false
+        });
+        batch.update(doc.ref, { followUpRemindedFor: state.nextContactOn });
+        await batch.commit();
+        result.reminded++;
+    }
+
+    return result;
+}
+
+module.exports = {
+    DEFAULT_FOLLOW_UPS,
+    validateFollowUpSettings,
+    todayIsoDate,
+    submissionFollowUp,
+    logFollowUp,
+    followUpStatus,
+    sendFollowUpReminders
+};
@@ -0,0 +1,32 @@
+// Proposal ownership.
+// createdByUid is the BDM who wrote the proposal and never changes; ownerUid is the BDM responsible
+// for it now (see the transfer_ownership action) and is what access checks, notifications and
+// dashboards use. Proposals created before ownership existed have no ownerUid: the author owns them.
+
+function ownerUidOf(proposal) {
+    return proposal?.ownerUid || proposal?.createdByUid || null;
+}
+
+function ownerNameOf(proposal) {
+    return proposal?.ownerName || proposal?.createdByName || null;
+}
+
+function isProposalOwner(proposal, uid) {
+    return Boolean(uid) && ownerUidOf(proposal) === uid;
+}
+
+// Proposal documents owned by `uid`. Legacy proposals only carry createdByUid, so both fields are
+// queried and merged; `refine` adds the same extra where clauses to each query.
+async function getOwnedProposalDocs(db, uid, refine = query => query) {
+    const [byOwner, byAuthor] = await Promise.all([
+        refine(db.collection('proposals').where('ownerUid', '==', uid)).get(),
+        refine(db.collection('proposals').where('createdByUid', '==', uid)).get()
+    ]);
+    const docs = new Map();
+    [...byOwner.docs, ...byAuthor.docs]
+        .filter(doc => isProposalOwner(doc.data(), uid))
+        .forEach(doc => docs.set(doc.id, doc));
+    return [...docs.values()];
+}
+
+module.exports = { ownerUidOf, ownerNameOf, isProposalOwner, getOwnedProposalDocs };
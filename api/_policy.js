@@ -0,0 +1,284 @@
+// Access policy.
+// Every route asks authorize(user, resource, action, context) before acting, so who may do what lives in
+// this one table instead of role checks spread over the handlers. A rule says:
+//   roles:      the roles that may take the action at all
+//   ownerOnly:  roles that may only act on records they own (context.ownerUid: a proposal's owning BDM,
+//               a file's uploader, a milestone's owner...)
+//   statuses:   proposal statuses the action is possible from; anything else is a 409 carrying
+//               currentStatus and allowedFrom, not a 403
+//   roleStatuses: per-role statuses a role may act in, on top of the above
+//   notOwner:   nobody may act on their own record (reviewing their own timesheet)
+//   revisionAssignee / estimatorAssignee: see TRANSITIONS in _proposal-workflow.js
+// Context checks only run when a context is passed, so a route can check the role before loading the
+// record and again once it has it. The proposal rules include one per workflow action, taken from
+// TRANSITIONS. Rules are plain data: policyMatrix() hands them to the frontend, which applies the same
+// checks to decide which buttons to show.
+const { QUOTABLE_STATUSES, TRANSITIONS } = require('./_proposal-workflow');
+const { ownerUidOf } = require('./_ownership');
+
+const ROLES = ['bdm', 'estimator', 'coo', 'director'];
+const MANAGERS = ['coo', 'director'];
+
+const ALL = { roles: ROLES };
+// Every role, BDMs on their own proposals only
+const OWN_PROPOSALS = { roles: ROLES, ownerOnly: ['bdm'] };
+
+const workflowRules = Object.fromEntries(TRANSITIONS.map(transition => [transition.action, {
+    roles: transition.roles,
+    ownerOnly: ['bdm'],
+    statuses: transition.from,
+    revisionAssignee: Boolean(transition.revisionAssignee),
+    estimatorAssignee: Boolean(transition.estimatorAssignee),
+    message: `Your role '{role}' cannot perform '${transition.action}'. Allowed: ${transition.roles.join(', ')}`,
+    ownerMessage: 'Access denied. You can only modify your own proposals.',
+    statusMessage: `Cannot perform '${transition.action}' while the proposal is '{status}'.`
+}]));
+
+const POLICIES = {
+    proposal: {
+        view: { ...OWN_PROPOSALS, ownerMessage: 'Access denied. You can only view your own proposals.' },
+        // Estimation figures reach the BDM once the Director has approved the quote
+        view_estimation: {
+            ...OWN_PROPOSALS,
+            roleStatuses: { bdm: QUOTABLE_STATUSES },
+            ownerMessage: 'Access denied. You can only view your own proposals.',
+            roleStatusMessage: 'Estimation details are available once the Director has approved the proposal.'
+        },
+        create: { roles: ['bdm'], message: 'Only BDMs can create proposals.' },
+        update: { ...OWN_PROPOSALS, ownerMessage: 'Access denied. You can only modify your own proposals.' },
+        // Any proposal the caller can see
+        clone: { ...OWN_PROPOSALS, ownerMessage: 'Access denied. You can only clone your own proposals.' },
+        // The owner or a Director
+        delete: { roles: ROLES, ownerOnly: ['bdm', 'estimator', 'coo'], ownerMessage: 'You are not authorized to delete this proposal.' },
+        export: { ...OWN_PROPOSALS },
+        import: { roles: ['director'], message: 'Only a Director can import proposals.' },
+        ...workflowRules
+    },
+    quotation: {
+        view: { ...OWN_PROPOSALS, ownerMessage: 'Access denied. You can only access your own proposals.' },
+        // Only once the Director has approved the pricing
+        generate: {
+            roles: ['bdm', ...MANAGERS],
+            ownerOnly: ['bdm'],
+            statuses: QUOTABLE_STATUSES,
+            message: 'Only the BDM, COO or Director can generate quotations.',
+            ownerMessage: 'Access denied. You can only access your own proposals.',
+            statusMessage: 'A quotation can only be generated after Director approval (proposal is \'{status}\').'
+        }
+    },
+    // Files are checked against their proposal; view_* and upload_* go by fileType, links count as project files
+    file: {
+        view_project: { ...OWN_PROPOSALS, ownerMessage: 'Access denied. You can only view files from your own proposals.' },
+        // BDMs see estimation files once the Director has approved the proposal
+        view_estimation: {
+            ...OWN_PROPOSALS,
+            roleStatuses: { bdm: QUOTABLE_STATUSES },
+            ownerMessage: 'Access denied. You can only view files from your own proposals.',
+            roleStatusMessage: 'Estimation files are available once the Director has approved the proposal.'
+        },
+        view_quotation: { ...OWN_PROPOSALS, ownerMessage: 'Access denied. You can only view files from your own proposals.' },
+        // Files not linked to any proposal
+        view_unlinked: { roles: ['estimator', ...MANAGERS] },
+        upload_project: { roles: ['bdm'], ownerOnly: ['bdm'], message: 'Only BDMs can upload Project files to proposals.', ownerMessage: 'You can only add files to your own proposals.' },
+        upload_estimation: { roles: ['estimator'], message: 'Only Estimators can upload Estimation files.' },
+        upload_general: { ...OWN_PROPOSALS, ownerMessage: 'You can only add files to your own proposals.' },
+        upload_quotation: { roles: [], message: 'Quotations are generated by the system and cannot be uploaded.' },
+        add_link: { ...OWN_PROPOSALS, ownerMessage: 'You can only add links to your own proposals.' },
+        // context.ownerUid is the uploader
+        delete: {
+            roles: ROLES,
+            ownerOnly: ['bdm', 'estimator', 'coo'],
+            ownerMessage: 'Permission denied. You can only delete files you uploaded, or you must be a director.'
+        }
+    },
+    comment: {
+        view: { ...OWN_PROPOSALS, ownerMessage: 'Access denied. You can only view your own proposals.' },
+        add: { ...OWN_PROPOSALS, ownerMessage: 'Access denied. You can only view your own proposals.' },
+        // context.ownerUid is the author
+        edit: { roles: ROLES, ownerOnly: ROLES, ownerMessage: 'Only the author can change this comment.' }
+    },
+    activity: {
+        view: { ...OWN_PROPOSALS, ownerMessage: 'Access denied. You can only view activities for your own proposals.' }
+    },
+    notification: {
+        // context.ownerUid is the recipient
+        view: { roles: ROLES, ownerOnly: ROLES, ownerMessage: 'Access denied to this notification' },
+        // Notifications addressed to the whole role; BDMs only get their own
+        view_role_wide: { roles: ['estimator', ...MANAGERS], message: 'Access denied to this notification' }
+    },
+    client: {
+        view: ALL,
+        edit: { roles: ['bdm', ...MANAGERS], message: 'Only BDMs, COO and Director can manage clients.' },
+        merge: { roles: MANAGERS, message: 'Only COO and Director can merge clients.' },
+        link_legacy: { roles: MANAGERS, message: 'Only COO and Director can link legacy proposals to clients.' },
+        delete: { roles: ['director'], message: 'Only a Director can delete clients.' }
+    },
+    rateCard: {
+        view: { roles: ['estimator', ...MANAGERS], message: 'Access denied. Rate cards are visible to Estimators, COO and Director only.' },
+        manage: { roles: MANAGERS, message: 'Only COO and Director can manage rate cards.' }
+    },
+    exchangeRate: {
+        view: { roles: MANAGERS, message: 'Access denied. Exchange rates are visible to COO and Director only.' },
+        manage: { roles: ['director'], message: 'Only the Director can manage exchange rates.' }
+    },
+    setting: {
+        view: ALL,
+        // The Settings page; each tab's actions are checked by their own rules
+        configure: { roles: MANAGERS, message: 'Settings are managed by COO and Director.' },
+        edit: { roles: ['director'], message: 'Only a Director can change the \'{key}\' setting.' }
+    },
+    proposalTemplate: {
+        view: ALL,
+        manage: { roles: MANAGERS, message: 'Only COO and Director can manage proposal templates.' }
+    },
+    project: {
+        view: { ...OWN_PROPOSALS, ownerMessage: 'Access denied. You can only view your own projects.' },
+        create: { roles: MANAGERS, message: 'Only COO and Director can create projects.' },
+        plan_milestone: { roles: MANAGERS, message: 'Only COO and Director can plan milestones.' },
+        // context.ownerUid is the milestone owner
+        update_milestone: {
+            roles: ROLES,
+            ownerOnly: ['bdm', 'estimator'],
+            ownerMessage: 'Only COO, Director or the milestone owner can update this milestone; only COO and Director can plan it.'
+        },
+        set_status: { roles: MANAGERS, message: 'Only COO and Director can change a project\'s status.' }
+    },
+    timesheet: {
+        // context.ownerUid is the person the timesheet belongs to
+        view: { roles: ROLES, ownerOnly: ['bdm', 'estimator'], ownerMessage: 'You can only view your own timesheets.' },
+        // context is the proposal the hours are logged against
+        log_hours: { ...OWN_PROPOSALS, ownerMessage: 'You can only log hours against your own proposals.' },
+        review: { roles: MANAGERS, notOwner: true, message: 'Only COO and Director can review timesheets.', notOwnerMessage: 'You cannot review your own timesheet.' }
+    },
+    report: {
+        win_loss: { roles: ['bdm', ...MANAGERS], ownerOnly: ['bdm'], message: 'Win/loss analysis is available to BDMs, COO and Director.' },
+        // Estimators see it too, to calibrate their own estimates
+        variance: { roles: ['estimator', ...MANAGERS], message: 'The variance report is available to Estimators, COO and Director.' }
+    },
+    estimationQueue: {
+        view: { roles: ['estimator', ...MANAGERS], message: 'The estimation queue is for estimators, COO and Director.' }
+    },
+    // context.ownerUid is the proposal's owner or the file's uploader
+    trash: {
+        view: { roles: ROLES, ownerOnly: ['bdm', 'estimator', 'coo'] },
+        restore: { roles: ROLES, ownerOnly: ['bdm', 'estimator', 'coo'], ownerMessage: 'Only the {owner} or a Director can restore this {type}.' },
+        purge: { roles: ['director'], message: 'Only a Director can purge the trash.' }
+    },
+    user: {
+        // Only COO and Director pick other users (e.g. the BDM a proposal is transferred to)
+        list: { roles: MANAGERS, message: 'Only COO and Director can list users.' }
+    }
+};
+
+function ruleFor(resource, action) {
+    const rule = POLICIES[resource]?.[action];
+    if (!rule) throw new Error(`No access policy for ${resource}.${action}`);
+    return rule;
+}
+
+function fill(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+// The context proposal rules are checked against
+function proposalContext(proposal) {
+    return {
+        ownerUid: ownerUidOf(proposal),
+        status: proposal?.status || null,
+        requiresRevisionBy: proposal?.directorApproval?.requiresRevisionBy || null,
+        assignedEstimatorUid: proposal?.assignedEstimatorUid || null,
+        assignedEstimatorName: proposal?.assignedEstimatorName || null
+    };
+}
+
+// Returns null when `user` may take `action` on `resource`, otherwise { status, body } with the
+// response to send: 403 (code 'forbidden') or, when the proposal is in the wrong status, 409 with
+// currentStatus and allowedFrom as the workflow has always returned it.
+function authorize(user, resource, action, context) {
+    const rule = ruleFor(resource, action);
+    const values = { role: user.role, action, ...context };
+    const forbidden = error => ({
+        status: 403,
+        body: { success: false, code: 'forbidden', error: fill(error, values), resource, action }
+    });
+
+    if (!rule.roles.includes(user.role)) {
+        return forbidden(rule.message || `Your role '{role}' cannot perform '{action}' on ${resource}. Allowed: ${rule.roles.join(', ') || 'none'}`);
+    }
+    if (!context) return null;
+
+    if (rule.ownerOnly?.includes(user.role) && (!user.uid || context.ownerUid !== user.uid)) {
+        return forbidden(rule.ownerMessage || 'Access denied. You can only access your own records.');
+    }
+    if (rule.statuses && !rule.statuses.includes(context.status)) {
+        return {
+            status: 409,
+            body: {
+                success: false,
+                error: fill(rule.statusMessage || `Cannot perform '{action}' while the proposal is '{status}'.`, values),
+                currentStatus: context.status,
+                allowedFrom: rule.statuses
+            }
+        };
+    }
+    if (rule.notOwner && context.ownerUid === user.uid) {
+        return forbidden(rule.notOwnerMessage || 'You cannot do this on your own record.');
+    }
+    const roleStatuses = rule.roleStatuses?.[user.role];
+    if (roleStatuses && !roleStatuses.includes(context.status)) {
+        return forbidden(rule.roleStatusMessage || `Your role '{role}' cannot perform '{action}' while the proposal is '{status}'.`);
+    }
+    // When the Director sends a proposal back, only the role it was sent back to may act on it
+    if (rule.revisionAssignee && context.status === 'revision_required') {
+        const assignee = context.requiresRevisionBy || 'estimator';
+        if (assignee !== user.role) {
+            return forbidden(`This revision is assigned to the ${assignee}, not the ${user.role}.`);
+        }
+    }
+    if (rule.estimatorAssignee && user.role === 'estimator' && context.assignedEstimatorUid !== user.uid) {
+        return forbidden(context.assignedEstimatorUid
+            ? `This proposal is assigned to ${context.assignedEstimatorName}.`
+            : 'Claim this proposal from the estimation queue before working on it.');
+    }
+    return null;
+}
+
+function can(user, resource, action, context) {
+    return authorize(user, resource, action, context) === null;
+}
+
+// Whether lists of `resource` are limited to the user's own records for `action` (a BDM's proposals)
+function scopedToOwner(user, resource, action) {
+    return Boolean(ruleFor(resource, action).ownerOnly?.includes(user.role));
+}
+
+// The rules that apply to `role`, per resource and action: { allowed, ownerOnly, notOwner, statuses,
+// roleStatuses, revisionAssignee, estimatorAssignee }. The frontend applies them to a record's context
+// the same way authorize() does.
+function policyMatrix(role) {
+    const matrix = {};
+    for (const [resource, actions] of Object.entries(POLICIES)) {
+        matrix[resource] = {};
+        for (const [action, rule] of Object.entries(actions)) {
+            matrix[resource][action] = {
+                allowed: rule.roles.includes(role),
+                ownerOnly: Boolean(rule.ownerOnly?.includes(role)),
+                notOwner: Boolean(rule.notOwner),
+                statuses: rule.statuses || null,
+                roleStatuses: rule.roleStatuses?.[role] || null,
+                revisionAssignee: Boolean(rule.revisionAssignee),
+                estimatorAssignee: Boolean(rule.estimatorAssignee)
+            };
+        }
+    }
+    return matrix;
+}
+
+module.exports = {
+    ROLES,
+    authorize,
+    can,
+    scopedToOwner,
+    proposalContext,
+    policyMatrix
+};
@@ -0,0 +1,150 @@
+// Server-side pricing engine.
+// The quote the Director approves is always computed here from the stored estimation;
+// the browser's calculateQuoteValue is only a live preview of the same math.
+const { CURRENCIES } = require('./_currency');
+
+const HOUR_BUCKETS = [
+    { key: 'designHours', label: 'Design' },
+    { key: 'detailingHours', label: 'Detailing' },
+    { key: 'checkingHours', label: 'Checking' },
+    { key: 'revisionHours', label: 'Revision' },
+    { key: 'pmHours', label: 'Project Management' }
+];
+
+const QUOTE_TYPES = ['Lump Sum', 'Per Hour'];
+const PRICING_BASES = ['hours', 'tonnage'];
+
+// Client-sent quote values may differ from ours by rounding only
+const QUOTE_TOLERANCE = 0.01;
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : 0;
+}
+
+// For inputs a typo must not turn into 0: undefined when left out, NaN when not a number
+function optionalNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    return typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+}
+
+function roundCurrency(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Builds the priced lines for an hours-based quote. Each bucket uses its discipline rate when
+// one is given, otherwise the general hourly rate. Estimations that only carry totalHours
+// (no per-bucket split) are priced as a single line.
+function buildHourLines(estimation, hourlyRate, disciplineRates = {}) {
+    const lines = HOUR_BUCKETS
+        .map(bucket => ({
+            key: bucket.key,
+            label: bucket.label,
+            quantity: toNumber(estimation[bucket.key]),
+            unit: 'hours',
+            rate: disciplineRates[bucket.key] !== undefined ? toNumber(disciplineRates[bucket.key]) : hourlyRate
+        }))
+        .filter(line => line.quantity > 0);
+
+    if (lines.length === 0 && toNumber(estimation.totalHours) > 0) {
+        lines.push({ key: 'totalHours', label: 'Total Hours', quantity: toNumber(estimation.totalHours), unit: 'hours', rate: hourlyRate });
+    }
+    return lines;
+}
+
+// Computes the quote for an estimation.
+// inputs: { hourlyRate, disciplineRates, ratePerTon, profitMargin, quoteType, pricingBasis, currency }
+// Returns { breakdown } or { error } when the inputs cannot produce a quote.
+function computeQuote(estimation, inputs = {}) {
+    if (!estimation || typeof estimation !== 'object') {
+        return { error: 'Proposal has no estimation to price.' };
+    }
+    const { disciplineRates } = inputs;
+    if (disciplineRates !== undefined && (!disciplineRates || typeof disciplineRates !== 'object' || Array.isArray(disciplineRates))) {
+        return { error: `disciplineRates must map disciplines to hourly rates (${HOUR_BUCKETS.map(bucket => bucket.key).join(', ')}).` };
+    }
+    const currency = inputs.currency || 'USD';
+    if (!CURRENCIES.includes(currency)) {
+        return { error: `Currency must be one of: ${CURRENCIES.join(', ')}` };
+    }
+
+    const quoteType = inputs.quoteType || estimation.quoteType || 'Lump Sum';
+    if (!QUOTE_TYPES.includes(quoteType)) {
+        return { error: `Unknown quote type '${quoteType}'. Use one of: ${QUOTE_TYPES.join(', ')}` };
+    }
+
+    const hasHours = HOUR_BUCKETS.some(bucket => toNumber(estimation[bucket.key]) > 0) || toNumber(estimation.totalHours) > 0;
+    const pricingBasis = inputs.pricingBasis || (hasHours ? 'hours' : 'tonnage');
+    if (!PRICING_BASES.includes(pricingBasis)) {
+        return { error: `Unknown pricing basis '${pricingBasis}'. Use one of: ${PRICING_BASES.join(', ')}` };
+    }
+    if (quoteType === 'Per Hour' && pricingBasis !== 'hours') {
+        return { error: 'Per Hour quotes must be priced on estimated hours.' };
+    }
+
+    const profitMargin = optionalNumber(inputs.profitMargin) ?? 0;
+    if (!Number.isFinite(profitMargin)) {
+        return { error: `Profit margin must be a number (got '${inputs.profitMargin}').` };
+    }
+    if (profitMargin < 0) {
+        return { error: 'Profit margin cannot be negative.' };
+    }
+
+    let lines;
+    if (pricingBasis === 'hours') {
+        const hourlyRate = toNumber(inputs.hourlyRate);
+        lines = buildHourLines(estimation, hourlyRate, disciplineRates);
+        if (lines.length === 0) {
+            return { error: 'Estimation has no hours to price.' };
+        }
+        if (lines.some(line => line.rate <= 0)) {
+            return { error: 'An hourly rate greater than 0 is required for every discipline with hours.' };
+        }
+    } else {
+        const tonnage = toNumber(estimation.tonnage);
+        const ratePerTon = toNumber(inputs.ratePerTon);
+        if (tonnage <= 0) {
+            return { error: 'Estimation has no tonnage to price.' };
+        }
+        if (ratePerTon <= 0) {
+            return { error: 'A rate per ton greater than 0 is required for tonnage pricing.' };
+        }
+        lines = [{ key: 'tonnage', label: 'Tonnage', quantity: tonnage, unit: 'tons', rate: ratePerTon }];
+    }
+
+    lines = lines.map(line => ({ ...line, amount: roundCurrency(line.quantity * line.rate) }));
+
+    const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0));
+    const marginAmount = roundCurrency(subtotal * profitMargin / 100);
+    const quoteValue = roundCurrency(subtotal + marginAmount);
+    const pricedHours = pricingBasis === 'hours' ? lines.reduce((sum, line) => sum + line.quantity, 0) : 0;
+
+    return {
+        breakdown: {
+            quoteType,
+            pricingBasis,
+            currency,
+            lines,
+            pricedHours,
+            tonnage: toNumber(estimation.tonnage),
+            subtotal,
+            profitMargin,
+            marginAmount,
+            quoteValue,
+            // Per Hour quotes bill this rate; quoteValue is then the estimated total at that rate
+            billedHourlyRate: quoteType === 'Per Hour' ? roundCurrency(quoteValue / pricedHours) : null
+        }
+    };
+}
+
+// Estimated hours per discipline, 0 for buckets the estimator left empty
+function estimatedHoursOf(estimation = {}) {
+    return Object.fromEntries(HOUR_BUCKETS.map(bucket => [bucket.key, toNumber(estimation[bucket.key])]));
+}
+
+// True when a client-computed quote value agrees with the server's (within rounding)
+function quoteMatches(clientValue, serverValue) {
+    return Math.abs(toNumber(clientValue) - serverValue) <= QUOTE_TOLERANCE;
+}
+
+module.exports = { HOUR_BUCKETS, QUOTE_TYPES, PRICING_BASES, computeQuote, quoteMatches, roundCurrency, estimatedHoursOf };
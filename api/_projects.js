@@ -0,0 +1,127 @@
+// Delivery projects.
+// Winning a job (mark_job_won) creates a project with the same id as its proposal, so a proposal has at
+// most one project. The project carries over the client, scope, services, the estimated hours per
+// discipline and references to the proposal's files, and tracks delivery through four milestones, each
+// with planned dates, an owner and a status. Proposals won before projects existed can be converted
+// later with POST /api/projects.
+const admin = require('./_firebase-admin');
+const { estimatedHoursOf } = require('./_pricing');
+const { ownerUidOf, ownerNameOf } = require('./_ownership');
+const { isTrashed } = require('./_trash');
+
+const db = admin.firestore();
+
+const MILESTONES = [
+    { key: 'design', label: 'Design', hoursKey: 'designHours' },
+    { key: 'detailing', label: 'Detailing', hoursKey: 'detailingHours' },
+    { key: 'checking', label: 'Checking', hoursKey: 'checkingHours' },
+    { key: 'ifc', label: 'Issue for Construction', hoursKey: null }
+];
+const MILESTONE_STATUSES = ['not_started', 'in_progress', 'on_hold', 'completed'];
+const PROJECT_STATUSES = ['active', 'on_hold', 'completed', 'cancelled'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The project document for a won proposal. `files` are the proposal's file documents; the project keeps
+// references to them rather than copies.
+function buildProject(proposalId, proposal, files, user) {
+    const estimatedHours = estimatedHoursOf(proposal.estimation);
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    return {
+        proposalId,
+        projectName: proposal.projectName,
+        clientId: proposal.clientId || null,
+        clientCompany: proposal.clientCompany,
+        country: proposal.country || null,
+        projectType: proposal.projectType || null,
+        scopeOfWork: proposal.scopeOfWork || '',
+        timeline: proposal.timeline || null,
+        services: proposal.estimation?.services || [],
+        estimatedHours,
+        totalHours: parseFloat(proposal.estimation?.totalHours) || 0,
+        tonnage: parseFloat(proposal.estimation?.tonnage) || 0,
+        quoteNumber: proposal.quoteNumber || null,
+        contractValue: proposal.jobOutcome?.finalValue ?? (parseFloat(proposal.pricing?.quoteValue) || null),
+        currency: proposal.jobOutcome?.currency || proposal.pricing?.currency || 'USD',
+        files: files.map(file => ({
+            fileId: file.id,
+            name: file.originalName,
+            fileType: file.fileType || 'project',
+            url: file.url || null
+        })),
+        ownerUid: ownerUidOf(proposal),
+        ownerName: ownerNameOf(proposal),
+        status: 'active',
+        milestones: MILESTONES.map(m => ({
+            key: m.key,
+            label: m.label,
+            estimatedHours: m.hoursKey ? estimatedHours[m.hoursKey] : null,
+            plannedStart: null,
+            plannedEnd: null,
+            ownerUid: null,
+            ownerName: null,
+            status: 'not_started',
+            completedAt: null
+        })),
+        version: 1,
+        createdAt: now,
+        createdByUid: user.uid,
+        createdByName: user.name,
+        updatedAt: now
+    };
+}
+
+// Reads what a new project needs inside `transaction`. Returns { ref, exists, files }; callers write
+// buildProject(...) to ref once their own reads are done.
+async function loadProjectSources(transaction, proposalId) {
+    const ref = db.collection('projects').doc(proposalId);
+    const [projectDoc, filesSnapshot] = await Promise.all([
+        transaction.get(ref),
+        transaction.get(db.collection('files').where('proposalId', '==', proposalId))
+    ]);
+    const files = filesSnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(file => !isTrashed(file) && !file.superseded);
+    return { ref, exists: projectDoc.exists, files };
+}
+
+// Applies a milestone update ({ plannedStart, plannedEnd, status, owner }) to `milestone`. owner is
+// { uid, name } or null to clear it; fields left undefined are kept. Returns { milestone } or { error }.
+function updateMilestone(milestone, data, owner) {
+    const next = { ...milestone };
+    for (const field of ['plannedStart', 'plannedEnd']) {
+        if (data[field] === undefined) continue;
+        if (data[field] && !DATE_PATTERN.test(data[field])) return { error: `${field} must be a date in YYYY-MM-DD format.` };
+        next[field] = data[field] || null;
+    }
+    if (next.plannedStart && next.plannedEnd && next.plannedEnd < next.plannedStart) {
+        return { error: `${milestone.label} cannot end before it starts.` };
+    }
+    if (data.status !== undefined) {
+        if (!MILESTONE_STATUSES.includes(data.status)) {
+            return { error: `Milestone status must be one of: ${MILESTONE_STATUSES.join(', ')}` };
+        }
+        next.status = data.status;
+        next.completedAt = data.status === 'completed' ? (milestone.completedAt || new Date().toISOString()) : null;
+    }
+    if (owner !== undefined) {
+        next.ownerUid = owner ? owner.uid : null;
+        next.ownerName = owner ? owner.name : null;
+    }
+    return { milestone: next };
+}
+
+// Milestones still open after their planned end date, as of `today` (YYYY-MM-DD)
+function lateMilestones(project, today = new Date().toISOString().slice(0, 10)) {
+    return (project.milestones || []).filter(m => m.status !== 'completed' && m.plannedEnd && m.plannedEnd < today);
+}
+
+module.exports = {
+    MILESTONES,
+    MILESTONE_STATUSES,
+    PROJECT_STATUSES,
+    buildProject,
+    loadProjectSources,
+    updateMilestone,
+    lateMilestones
+};
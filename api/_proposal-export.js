@@ -0,0 +1,111 @@
+// Spreadsheet export of proposals (GET /api/export).
+// Each column reads one value from a proposal; columns marked `estimation` follow the access policy's
+// proposal view_estimation rule: BDMs only see them once the Director has approved the quote.
+const ExcelJS = require('exceljs');
+const { toMillis } = require('./_proposal-query');
+const { ownerNameOf } = require('./_ownership');
+const { can, proposalContext } = require('./_policy');
+
+function isoDate(timestamp) {
+    const millis = toMillis(timestamp);
+    return millis ? new Date(millis).toISOString().slice(0, 10) : '';
+}
+
+const EXPORT_COLUMNS = [
+    { key: 'quoteNumber', label: 'Quote Number', get: p => p.quoteNumber || '' },
+    { key: 'projectName', label: 'Project Name', get: p => p.projectName || '' },
+    { key: 'clientCompany', label: 'Client', get: p => p.clientCompany || '' },
+    { key: 'country', label: 'Country', get: p => p.country || '' },
+    { key: 'projectType', label: 'Project Type', get: p => p.projectType || '' },
+    { key: 'priority', label: 'Priority', get: p => p.priority || '' },
+    { key: 'status', label: 'Status', get: p => p.status || '' },
+    { key: 'bdm', label: 'BDM', get: p => ownerNameOf(p) || '' },
+    { key: 'createdBy', label: 'Created By', get: p => p.createdByName || '' },
+    { key: 'createdAt', label: 'Created', get: p => isoDate(p.createdAt) },
+    { key: 'updatedAt', label: 'Last Updated', get: p => isoDate(p.updatedAt || p.createdAt) },
+    { key: 'totalHours', label: 'Estimated Hours', estimation: true, get: p => numberOrBlank(p.estimation?.totalHours) },
+    { key: 'tonnage', label: 'Tonnage', estimation: true, get: p => numberOrBlank(p.estimation?.tonnage) },
+    { key: 'services', label: 'Services', estimation: true, get: p => (p.estimation?.services || []).join('; ') },
+    { key: 'estimatedBy', label: 'Estimated By', estimation: true, get: p => p.estimation?.estimatedBy || '' },
+    { key: 'quoteType', label: 'Quote Type', get: p => p.pricing?.quoteType || '' },
+    { key: 'profitMargin', label: 'Profit Margin %', get: p => numberOrBlank(p.pricing?.profitMargin) },
+    { key: 'quoteValue', label: 'Quote Value', get: p => numberOrBlank(p.pricing?.quoteValue) },
+    { key: 'currency', label: 'Currency', get: p => p.pricing?.currency || '' },
+    { key: 'pricedAt', label: 'Priced', get: p => (p.pricing?.pricedAt || '').slice(0, 10) },
+    { key: 'directorApproval', label: 'Director Approval', get: p => approvalLabel(p.directorApproval) },
+    { key: 'directorComments', label: 'Director Comments', get: p => p.directorApproval?.comments || '' },
+    { key: 'jobOutcome', label: 'Job Outcome', get: p => p.jobOutcome?.result || '' },
+    { key: 'lossReason', label: 'Loss Reason', get: p => (p.jobOutcome?.result === 'lost' ? p.jobOutcome.reason || '' : '') },
+    { key: 'competitor', label: 'Competitor', get: p => p.jobOutcome?.competitor?.name || '' },
+    { key: 'competitorPrice', label: 'Competitor Price', get: p => numberOrBlank(p.jobOutcome?.competitor?.price) },
+    { key: 'finalValue', label: 'Final Value', get: p => (p.jobOutcome?.result === 'won' ? numberOrBlank(p.jobOutcome.finalValue) : '') },
+    { key: 'outcomeDate', label: 'Outcome Date', get: p => (p.jobOutcome?.markedAt || '').slice(0, 10) }
+];
+
+const DEFAULT_COLUMNS = ['quoteNumber', 'projectName', 'clientCompany', 'country', 'status', 'bdm', 'createdAt',
+    'totalHours', 'tonnage', 'services', 'quoteValue', 'currency', 'directorApproval', 'jobOutcome', 'lossReason'];
+
+const FORMATS = ['csv', 'xlsx'];
+
+function numberOrBlank(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : '';
+}
+
+function approvalLabel(approval) {
+    if (!approval) return '';
+    if (approval.approved) return `Approved by ${approval.approvedBy} on ${(approval.approvedAt || '').slice(0, 10)}`;
+    return `Revision requested by ${approval.rejectedBy} on ${(approval.rejectedAt || '').slice(0, 10)}`;
+}
+
+// Validates ?columns= (comma separated keys, in the order wanted). Returns { columns } or { error }.
+function parseColumns(value) {
+    const keys = value ? String(value).split(',').map(k => k.trim()).filter(Boolean) : DEFAULT_COLUMNS;
+    const unknown = keys.filter(key => !EXPORT_COLUMNS.some(c => c.key === key));
+    if (unknown.length > 0) {
+        return { error: `Unknown column: ${unknown.join(', ')}. Use any of: ${EXPORT_COLUMNS.map(c => c.key).join(', ')}` };
+    }
+    return { columns: keys.map(key => EXPORT_COLUMNS.find(c => c.key === key)) };
+}
+
+function canSeeEstimation(proposal, user) {
+    return can(user, 'proposal', 'view_estimation', proposalContext(proposal));
+}
+
+function exportRow(proposal, columns, user) {
+    const showEstimation = canSeeEstimation(proposal, user);
+    return columns.map(column => (column.estimation && !showEstimation ? '' : column.get(proposal)));
+}
+
+function csvCell(value) {
+    let text = String(value);
+    // Keep spreadsheet apps from running client-entered text as a formula
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function writeCsv(res, columns, proposals, user) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    // BOM so Excel opens UTF-8 client names correctly
+    res.write('\uFEFF' + columns.map(c => csvCell(c.label)).join(',') + '\r\n');
+    for (const proposal of proposals) {
+        res.write(exportRow(proposal, columns, user).map(csvCell).join(',') + '\r\n');
+    }
+    res.end();
+}
+
+async function writeXlsx(res, columns, proposals, user) {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Proposals');
+    sheet.columns = columns.map(c => ({ header: c.label, key: c.key, width: Math.max(12, c.label.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+    for (const proposal of proposals) {
+        sheet.addRow(exportRow(proposal, columns, user)).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+}
+
+module.exports = { EXPORT_COLUMNS, DEFAULT_COLUMNS, FORMATS, parseColumns, canSeeEstimation, exportRow, writeCsv, writeXlsx };
@@ -0,0 +1,259 @@
+// Bulk import of historical proposals from CSV (POST /api/import).
+// Column headers map to IMPORT_FIELDS by key or label; the labels match the export columns in
+// _proposal-export.js so an exported spreadsheet can be imported back. Every row is validated
+// before anything is written; the dry-run report is the same validation without the writes.
+const { PROPOSAL_STATUSES } = require('./_proposal-workflow');
+const { SERVICES, COUNTRIES } = require('./_rate-cards');
+const { CURRENCIES } = require('./_currency');
+const { QUOTE_TYPES } = require('./_pricing');
+const { normalizeClientName } = require('./_clients');
+
+const MAX_ROWS = 5000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const PRIORITIES = ['Low', 'Medium', 'High'];
+
+const IMPORT_FIELDS = [
+    { key: 'quoteNumber', label: 'Quote Number' },
+    { key: 'projectName', label: 'Project Name', required: true },
+    { key: 'clientCompany', label: 'Client', required: true },
+    { key: 'country', label: 'Country' },
+    { key: 'projectType', label: 'Project Type' },
+    { key: 'priority', label: 'Priority' },
+    { key: 'status', label: 'Status', required: true },
+    { key: 'bdm', label: 'BDM' },
+    { key: 'createdAt', label: 'Created', required: true },
+    { key: 'scopeOfWork', label: 'Scope of Work' },
+    { key: 'totalHours', label: 'Estimated Hours' },
+    { key: 'tonnage', label: 'Tonnage' },
+    { key: 'services', label: 'Services' },
+    { key: 'quoteType', label: 'Quote Type' },
+    { key: 'profitMargin', label: 'Profit Margin %' },
+    { key: 'quoteValue', label: 'Quote Value' },
+    { key: 'currency', label: 'Currency' },
+    { key: 'pricedAt', label: 'Priced' },
+    { key: 'lossReason', label: 'Loss Reason' },
+    { key: 'outcomeDate', label: 'Outcome Date' }
+];
+
+// RFC 4180 CSV: quoted fields may contain commas, doubled quotes and line breaks
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Blank lines carry no data
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// Maps CSV headers to field keys. An explicit mapping ({ header: fieldKey }) wins; otherwise a
+// header matches a field by key or label, case-insensitively. Returns { mapping } or { error }.
+function buildMapping(headers, explicit = {}) {
+    const mapping = {};
+    headers.forEach((header, index) => {
+        const name = header.trim();
+        const key = explicit[name] !== undefined
+            ? explicit[name]
+            : IMPORT_FIELDS.find(f => f.key.toLowerCase() === name.toLowerCase() || f.label.toLowerCase() === name.toLowerCase())?.key;
+        if (key) mapping[key] = index;
+    });
+
+    const unknown = Object.values(explicit).filter(key => key && !IMPORT_FIELDS.some(f => f.key === key));
+    if (unknown.length > 0) return { error: `Unknown import field: ${unknown.join(', ')}` };
+
+    const missing = IMPORT_FIELDS.filter(f => f.required && mapping[f.key] === undefined);
+    if (missing.length > 0) {
+        return { error: `No column mapped to required field(s): ${missing.map(f => f.label).join(', ')}` };
+    }
+    return { mapping };
+}
+
+function parseNumber(value, label, errors) {
+    if (value === '') return null;
+    const number = parseFloat(value.replace(/[,\s]/g, ''));
+    if (!Number.isFinite(number) || number < 0) {
+        errors.push(`${label} must be a non-negative number`);
+        return null;
+    }
+    return number;
+}
+
+function parseDate(value, label, errors) {
+    if (value === '') return null;
+    if (!DATE_PATTERN.test(value) || Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+        errors.push(`${label} must be a date in YYYY-MM-DD format`);
+        return null;
+    }
+    return value;
+}
+
+// 'Submitted to client', 'submitted_to_client' and 'SUBMITTED TO CLIENT' are the same status
+function normalizeStatus(value) {
+    return value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// Validates one CSV row. `bdms` is the list of BDM users ({ uid, name, email }), matched by
+// email or name. Returns { proposal, warnings } or { errors }; proposal dates are ISO strings.
+function validateRow(cells, mapping, bdms) {
+    const get = key => (mapping[key] !== undefined ? (cells[mapping[key]] || '').trim() : '');
+    const errors = [];
+    const warnings = [];
+
+    for (const field of IMPORT_FIELDS.filter(f => f.required)) {
+        if (!get(field.key)) errors.push(`${field.label} is required`);
+    }
+    // "Ltd" or "Co." alone cannot become a client
+    if (get('clientCompany') && !normalizeClientName(get('clientCompany'))) {
+        errors.push(`Client '${get('clientCompany')}' needs more than punctuation and legal suffixes`);
+    }
+
+    const status = normalizeStatus(get('status'));
+    if (get('status') && !PROPOSAL_STATUSES.includes(status)) {
+        errors.push(`Unknown status '${get('status')}'`);
+    }
+    const country = get('country');
+    if (country && !COUNTRIES.includes(country)) errors.push(`Unknown country '${country}'`);
+    const priority = get('priority');
+    if (priority && !PRIORITIES.includes(priority)) errors.push(`Priority must be one of: ${PRIORITIES.join(', ')}`);
+
+    const createdAt = parseDate(get('createdAt'), 'Created', errors);
+    const pricedAt = parseDate(get('pricedAt'), 'Priced', errors);
+    const outcomeDate = parseDate(get('outcomeDate'), 'Outcome Date', errors);
+
+    const totalHours = parseNumber(get('totalHours'), 'Estimated Hours', errors);
+    const tonnage = parseNumber(get('tonnage'), 'Tonnage', errors);
+    const services = get('services').split(/[;|]/).map(s => s.trim()).filter(Boolean);
+    const unknownServices = services.filter(s => !SERVICES.includes(s));
+    if (unknownServices.length > 0) errors.push(`Unknown service(s): ${unknownServices.join(', ')}`);
+
+    const quoteValue = parseNumber(get('quoteValue'), 'Quote Value', errors);
+    const profitMargin = parseNumber(get('profitMargin'), 'Profit Margin %', errors);
+    const currency = get('currency').toUpperCase();
+    if (quoteValue !== null && !CURRENCIES.includes(currency)) {
+        errors.push(`Currency must be one of ${CURRENCIES.join(', ')} when a quote value is given`);
+    }
+    const quoteType = get('quoteType');
+    if (quoteType && !QUOTE_TYPES.includes(quoteType)) errors.push(`Quote Type must be one of: ${QUOTE_TYPES.join(', ')}`);
+
+    if (get('lossReason') && status !== 'lost') errors.push('Loss Reason is only allowed on lost proposals');
+
+    if (errors.length > 0) return { errors };
+
+    // BDM by email or name; unknown BDMs are kept by name so the history still reads right
+    const bdmValue = get('bdm');
+    const bdm = bdmValue
+        ? bdms.find(u => (u.email || '').toLowerCase() === bdmValue.toLowerCase() || (u.name || '').toLowerCase() === bdmValue.toLowerCase())
+        : null;
+    if (bdmValue && !bdm) warnings.push(`BDM '${bdmValue}' is not a user; the proposal will be visible to COO and Director only`);
+
+    const proposal = {
+        projectName: get('projectName'),
+        clientCompany: get('clientCompany'),
+        projectType: get('projectType') || 'Commercial',
+        scopeOfWork: get('scopeOfWork'),
+        comments: '',
+        priority: priority || 'Medium',
+        country: country || 'Not Specified',
+        timeline: 'Not Specified',
+        projectLinks: [],
+        status,
+        createdAt,
+        bdm: bdm ? { uid: bdm.uid, name: bdm.name } : { uid: null, name: bdmValue || null }
+    };
+
+    const quoteNumber = get('quoteNumber');
+    if (quoteNumber) {
+        proposal.quoteNumber = quoteNumber;
+        proposal.quoteNumbers = [quoteNumber];
+    }
+    if (totalHours !== null || tonnage !== null || services.length > 0) {
+        proposal.estimation = { totalHours: totalHours || 0, tonnage: tonnage || 0, services, quoteNumber: quoteNumber || '', estimatedAt: createdAt };
+    }
+    if (quoteValue !== null) {
+        proposal.pricing = {
+            quoteType: quoteType || 'Lump Sum',
+            profitMargin,
+            currency,
+            quoteValue,
+            quoteNumber: quoteNumber || '',
+            pricedAt: pricedAt || createdAt
+        };
+    }
+    if (status === 'won' || status === 'lost') {
+        proposal.jobOutcome = {
+            result: status,
+            ...(status === 'lost' ? { reason: get('lossReason') || 'Not specified' } : {}),
+            markedAt: outcomeDate || pricedAt || createdAt
+        };
+    }
+    return { proposal, warnings };
+}
+
+// Validates every data row. Returns { proposals: [{ row, proposal }], errors: [{ row, errors }],
+// warnings: [{ row, warnings }] }; row numbers are spreadsheet rows (the header is row 1).
+function validateImport(rows, mapping, bdms) {
+    const report = { proposals: [], errors: [], warnings: [] };
+    rows.forEach((cells, index) => {
+        const row = index + 2;
+        const result = validateRow(cells, mapping, bdms);
+        if (result.errors) {
+            report.errors.push({ row, errors: result.errors });
+            return;
+        }
+        report.proposals.push({ row, proposal: result.proposal });
+        if (result.warnings.length > 0) report.warnings.push({ row, warnings: result.warnings });
+    });
+    return report;
+}
+
+// Moves rows whose quote number is already in use (`taken`, a Set) or repeats an earlier row to the
+// errors of a validateImport report: no two proposals may share a quote number.
+function checkQuoteNumbers(report, taken) {
+    const firstRow = new Map();
+    const proposals = [];
+    const errors = [...report.errors];
+    for (const entry of report.proposals) {
+        const { quoteNumber } = entry.proposal;
+        let error = null;
+        if (quoteNumber && taken.has(quoteNumber)) error = `Quote number ${quoteNumber} is already used by an existing proposal`;
+        else if (quoteNumber && firstRow.has(quoteNumber)) error = `Quote number ${quoteNumber} is also used on row ${firstRow.get(quoteNumber)}`;
+        if (quoteNumber && !firstRow.has(quoteNumber)) firstRow.set(quoteNumber, entry.row);
+
+        if (error) errors.push({ row: entry.row, errors: [error] });
+        else proposals.push(entry);
+    }
+    return { ...report, proposals, errors: errors.sort((a, b) => a.row - b.row) };
+}
+
+module.exports = { MAX_ROWS, IMPORT_FIELDS, parseCsv, buildMapping, validateRow, validateImport, checkQuoteNumbers };
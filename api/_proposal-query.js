@@ -0,0 +1,314 @@
+// Filtering, sorting and cursor pagination for the proposals list (GET /api/proposals).
+// Status, owner and the created date range are Firestore filters. Sorted by createdAt (the default),
+// the list is read from Firestore a page at a time, with the remaining filters applied as it goes.
+// Firestore cannot run the free-text search or the computed sorts (see QUERY_SORTS), so those read
+// every proposal the Firestore filters match and sort and page them here. The composite indexes the
+// queries need are declared in firestore.indexes.json.
+const admin = require('./_firebase-admin');
+const { PROPOSAL_STATUSES } = require('./_proposal-workflow');
+const { ownerUidOf, isProposalOwner } = require('./_ownership');
+const { isTrashed } = require('./_trash');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// sort key -> value used for ordering
+const SORT_FIELDS = {
+    createdAt: p => toMillis(p.createdAt),
+    updatedAt: p => toMillis(p.updatedAt || p.createdAt),
+    projectName: p => (p.projectName || '').toLowerCase(),
+    clientCompany: p => (p.clientCompany || '').toLowerCase(),
+    quoteValue: p => parseFloat(p.pricing?.quoteValue) || 0,
+    status: p => PROPOSAL_STATUSES.indexOf(p.status),
+    priority: p => ['Low', 'Medium', 'High'].indexOf(p.priority)
+};
+
+// Sorts Firestore can order by itself: every proposal has a createdAt. The others are computed (status
+// and priority rank, case-insensitive names, a default for proposals without a quote value or update).
+const QUERY_SORTS = ['createdAt'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toMillis(timestamp) {
+    if (!timestamp) return 0;
+    if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+    if (timestamp._seconds !== undefined) return timestamp._seconds * 1000;
+    return new Date(timestamp).getTime() || 0;
+}
+
+// Query values may arrive as 'a,b' or as repeated parameters (array)
+function toList(value) {
+    if (value === undefined || value === '') return [];
+    return (Array.isArray(value) ? value : [value])
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim())
+        .filter(Boolean);
+}
+
+function encodeCursor(proposal, sort) {
+    const cursor = { v: SORT_FIELDS[sort](proposal), id: proposal.id };
+    // Firestore resumes after the exact timestamp, which milliseconds would round
+    if (sort === 'createdAt' && proposal.createdAt?.nanoseconds !== undefined) {
+        cursor.ts = [proposal.createdAt.seconds, proposal.createdAt.nanoseconds];
+    }
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        return decoded && decoded.id ? decoded : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Validates list query parameters. Returns { options } or { error }.
+function parseProposalQuery(query = {}) {
+    const statuses = toList(query.status);
+    const unknownStatuses = statuses.filter(s => !PROPOSAL_STATUSES.includes(s));
+    if (unknownStatuses.length > 0) {
+        return { error: `Unknown status: ${unknownStatuses.join(', ')}` };
+    }
+
+    for (const key of ['createdFrom', 'createdTo', 'updatedFrom', 'updatedTo']) {
+        if (query[key] && !DATE_PATTERN.test(query[key])) {
+            return { error: `${key} must be a date in YYYY-MM-DD format` };
+        }
+    }
+
+    const minQuoteValue = query.minQuoteValue !== undefined && query.minQuoteValue !== '' ? parseFloat(query.minQuoteValue) : null;
+    const maxQuoteValue = query.maxQuoteValue !== undefined && query.maxQuoteValue !== '' ? parseFloat(query.maxQuoteValue) : null;
+    if (Number.isNaN(minQuoteValue) || Number.isNaN(maxQuoteValue)) {
+        return { error: 'minQuoteValue and maxQuoteValue must be numbers' };
+    }
+
+    const sort = query.sort || 'createdAt';
+    if (!SORT_FIELDS[sort]) {
+        return { error: `Unknown sort '${sort}'. Use one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+    }
+    const order = query.order || (['projectName', 'clientCompany'].includes(sort) ? 'asc' : 'desc');
+    if (!['asc', 'desc'].includes(order)) {
+        return { error: "order must be 'asc' or 'desc'" };
+    }
+
+    const limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor);
+        if (!cursor) return { error: 'Invalid cursor' };
+    }
+
+    return {
+        options: {
+            statuses,
+            clients: toList(query.client).map(c => c.toLowerCase()),
+            countries: toList(query.country),
+            projectTypes: toList(query.projectType),
+            priorities: toList(query.priority),
+            bdmUids: toList(query.bdm),
+            createdFrom: query.createdFrom || null,
+            createdTo: query.createdTo || null,
+            updatedFrom: query.updatedFrom || null,
+            updatedTo: query.updatedTo || null,
+            minQuoteValue,
+            maxQuoteValue,
+            search: (query.q || '').trim().toLowerCase(),
+            sort,
+            order,
+            limit,
+            cursor
+        }
+    };
+}
+
+function inDateRange(timestamp, from, to) {
+    if (!from && !to) return true;
+    const date = timestamp ? new Date(toMillis(timestamp)).toISOString().slice(0, 10) : null;
+    if (!date) return false;
+    return (!from || date >= from) && (!to || date <= to);
+}
+
+function matchesFilters(p, o) {
+    if (o.statuses.length && !o.statuses.includes(p.status)) return false;
+    if (o.clients.length && !o.clients.some(c => (p.clientCompany || '').toLowerCase().includes(c))) return false;
+    if (o.countries.length && !o.countries.includes(p.country)) return false;
+    if (o.projectTypes.length && !o.projectTypes.includes(p.projectType)) return false;
+    if (o.priorities.length && !o.priorities.includes(p.priority)) return false;
+    if (o.bdmUids.length && !o.bdmUids.includes(ownerUidOf(p))) return false;
+    if (!inDateRange(p.createdAt, o.createdFrom, o.createdTo)) return false;
+    if (!inDateRange(p.updatedAt || p.createdAt, o.updatedFrom, o.updatedTo)) return false;
+
+    // Quote value ranges compare the amount as quoted, in the proposal's own currency
+    if (o.minQuoteValue !== null || o.maxQuoteValue !== null) {
+        const quoteValue = parseFloat(p.pricing?.quoteValue);
+        if (!Number.isFinite(quoteValue)) return false;
+        if (o.minQuoteValue !== null && quoteValue < o.minQuoteValue) return false;
+        if (o.maxQuoteValue !== null && quoteValue > o.maxQuoteValue) return false;
+    }
+
+    if (o.search) {
+        const haystack = [p.projectName, p.clientCompany, p.scopeOfWork].join(' ').toLowerCase();
+        if (!o.search.split(/\s+/).every(term => haystack.includes(term))) return false;
+    }
+    return true;
+}
+
+function comparator(options) {
+    const value = SORT_FIELDS[options.sort];
+    const direction = options.order === 'asc' ? 1 : -1;
+    return (a, b) => {
+        const va = value(a);
+        const vb = value(b);
+        if (va < vb) return -direction;
+        if (va > vb) return direction;
+        return a.id < b.id ? -1 : a.id > b.id ? 1 : 0; // id breaks ties so the cursor is stable
+    };
+}
+
+// Every proposal matching the filters, in sort order (no paging; used by the export too)
+function filterAndSortProposals(proposals, options) {
+    return proposals.filter(p => matchesFilters(p, options)).sort(comparator(options));
+}
+
+// Filters, sorts and pages proposals. Returns { items, total, nextCursor }:
+// total counts every match, nextCursor is null on the last page.
+function applyProposalQuery(proposals, options) {
+    const value = SORT_FIELDS[options.sort];
+    const direction = options.order === 'asc' ? 1 : -1;
+    const matches = filterAndSortProposals(proposals, options);
+
+    let start = 0;
+    if (options.cursor) {
+        // Resume after the cursor's (value, id) position, even if that proposal has since changed
+        const { v: cursorValue, id: cursorId } = options.cursor;
+        const isAfterCursor = p => {
+            const v = value(p);
+            if (v !== cursorValue) return direction === 1 ? v > cursorValue : v < cursorValue;
+            return p.id > cursorId;
+        };
+        start = matches.findIndex(isAfterCursor);
+        if (start === -1) start = matches.length;
+    }
+
+    const items = matches.slice(start, start + options.limit);
+    const hasMore = start + options.limit < matches.length;
+    return {
+        items,
+        total: matches.length,
+        nextCursor: hasMore ? encodeCursor(items[items.length - 1], options.sort) : null
+    };
+}
+
+function dayStart(isoDate, addDays = 0) {
+    return admin.firestore.Timestamp.fromMillis(Date.parse(`${isoDate}T00:00:00Z`) + addDays * DAY_MS);
+}
+
+// The Firestore queries the list is read from: status and the created date range, plus the owner when
+// the list is limited to one BDM. An owner takes two queries, by ownerUid and by createdByUid, as
+// legacy proposals only carry the latter (see _ownership.js).
+function proposalQueries(db, options, owner) {
+    let base = db.collection('proposals');
+    if (options.statuses.length) base = base.where('status', 'in', options.statuses);
+    if (options.createdFrom) base = base.where('createdAt', '>=', dayStart(options.createdFrom));
+    if (options.createdTo) base = base.where('createdAt', '<', dayStart(options.createdTo, 1));
+    return owner ? [base.where('ownerUid', '==', owner), base.where('createdByUid', '==', owner)] : [base];
+}
+
+// Reads one page from `queries` ordered by createdAt, merging them in order and skipping what `keep`
+// rejects, until the page (and one more, to know there is a next page) is filled or they run out
+async function readPage(queries, options, keep) {
+    const compare = comparator(options);
+    const batchSize = options.limit + 1;
+    const { cursor } = options;
+    const start = cursor && [
+        cursor.ts ? new admin.firestore.Timestamp(cursor.ts[0], cursor.ts[1]) : admin.firestore.Timestamp.fromMillis(cursor.v),
+        cursor.id
+    ];
+    const sources = queries.map(query => ({
+        query: query.orderBy('createdAt', options.order).orderBy(admin.firestore.FieldPath.documentId()),
+        buffer: [],
+        last: null,
+        done: false
+    }));
+    const fetch = async source => {
+        let query = source.query.limit(batchSize);
+        if (source.last) query = query.startAfter(source.last);
+        else if (start) query = query.startAfter(...start);
+        const snapshot = await query.get();
+        source.buffer.push(...snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        source.last = snapshot.docs[snapshot.docs.length - 1] || source.last;
+        source.done = snapshot.size < batchSize;
+    };
+
+    const seen = new Set();
+    const items = [];
+    while (items.length <= options.limit) {
+        await Promise.all(sources.filter(source => !source.buffer.length && !source.done).map(fetch));
+        const live = sources.filter(source => source.buffer.length);
+        if (!live.length) break;
+        const next = live.reduce((a, b) => (compare(a.buffer[0], b.buffer[0]) <= 0 ? a : b));
+        const proposal = next.buffer.shift();
+        if (seen.has(proposal.id)) continue;
+        seen.add(proposal.id);
+        if (keep(proposal) && matchesFilters(proposal, options)) items.push(proposal);
+    }
+
+    const page = items.slice(0, options.limit);
+    return {
+        items: page,
+        nextCursor: items.length > options.limit ? encodeCursor(page[page.length - 1], options.sort) : null
+    };
+}
+
+// Whether every active filter is one of the Firestore filters in proposalQueries, so a count() of
+// those queries counts the list
+function countable(options) {
+    return !options.clients.length && !options.countries.length && !options.projectTypes.length &&
+        !options.priorities.length && options.bdmUids.length <= 1 && !options.updatedFrom && !options.updatedTo &&
+        options.minQuoteValue === null && options.maxQuoteValue === null;
+}
+
+// Counts the list with count() aggregations instead of reading it. An owner is counted as
+// ownerUid matches plus legacy createdByUid matches (those without an ownerUid). Trashed proposals
+// cannot be excluded in the query, so the few in the trash are read and subtracted.
+async function countProposals(db, options, owner) {
+    const queries = proposalQueries(db, options, owner);
+    if (owner) queries.push(queries[1].where('ownerUid', '>', ''));
+    const [counts, trashed] = await Promise.all([
+        Promise.all(queries.map(query => query.count().get().then(snapshot => snapshot.data().count))),
+        db.collection('proposals').where('deletedAt', '!=', null).get()
+    ]);
+    const [matches, byAuthor = 0, byAuthorWithOwner = 0] = counts;
+    const trashedMatches = trashed.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(proposal => matchesFilters(proposal, options) && (!owner || isProposalOwner(proposal, owner)));
+    return matches + byAuthor - byAuthorWithOwner - trashedMatches.length;
+}
+
+// The proposals list for GET /api/proposals: { items, total, nextCursor }. `owner` limits it to one
+// BDM's proposals (BDM isolation); a filter on a single BDM does the same. Read page by page, total
+// is null when filters Firestore cannot count (client name, country and the like) are active.
+async function listProposals(db, options, owner = null) {
+    owner = owner || (options.bdmUids.length === 1 ? options.bdmUids[0] : null);
+    const queries = proposalQueries(db, options, owner);
+    const keep = proposal => !isTrashed(proposal) && (!owner || isProposalOwner(proposal, owner));
+
+    if (QUERY_SORTS.includes(options.sort) && !options.search) {
+        const [page, total] = await Promise.all([
+            readPage(queries, options, keep),
+            countable(options) ? countProposals(db, options, owner) : null
+        ]);
+        return { ...page, total };
+    }
+    const snapshots = await Promise.all(queries.map(query => query.get()));
+    const proposals = new Map(snapshots.flatMap(snapshot => snapshot.docs.map(doc => [doc.id, { id: doc.id, ...doc.data() }])));
+    return applyProposalQuery([...proposals.values()].filter(keep), options);
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, SORT_FIELDS, toMillis, parseProposalQuery, filterAndSortProposals, applyProposalQuery, listProposals };
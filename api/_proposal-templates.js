@@ -0,0 +1,137 @@
+// Proposal templates and clones.
+// A template (maintained by COO and Director) holds the intake fields BDMs otherwise re-type for
+// repeat work: scope, project type, country, priority, timeline, links and optionally the client.
+// Creating a proposal with a templateId starts from those fields. Cloning starts a new
+// pending_estimation proposal from an existing one with the chosen parts copied, and records the
+// source in clonedFrom. In both cases whatever the request body sets wins.
+const { COUNTRIES } = require('./_rate-cards');
+
+const PRIORITIES = ['High', 'Medium', 'Low'];
+const MAX_LINKS = 20;
+
+// scope: scope of work and comments; links: projectLinks; estimation: the source estimation as a
+// starting point for the estimator; files: references to the source's project files and links
+// (and its estimation files when the estimation comes along too)
+const CLONE_PARTS = ['scope', 'links', 'estimation', 'files'];
+
+function normalizeLinks(links = []) {
+    if (!Array.isArray(links)) return { error: 'projectLinks must be a list.' };
+    if (links.length > MAX_LINKS) return { error: `At most ${MAX_LINKS} links.` };
+    const normalized = [];
+    for (const link of links) {
+        const url = typeof link?.url === 'string' ? link.url.trim() : '';
+        if (!/^https?:\/\//i.test(url)) return { error: `Links must be http(s) URLs: ${url || '(empty)'}` };
+        const title = typeof link.title === 'string' && link.title.trim() ? link.title.trim() : url;
+        normalized.push({ url, title, description: typeof link.description === 'string' ? link.description.trim() : '' });
+    }
+    return { links: normalized };
+}
+
+// Validates a create/update body. Returns { template } with normalized fields or { error }.
+function validateTemplate(input = {}) {
+    const name = (input.name || '').trim();
+    if (!name) return { error: 'Template name is required.' };
+
+    const country = input.country || '';
+    if (country && !COUNTRIES.includes(country)) {
+        return { error: `Country must be one of: ${COUNTRIES.join(', ')}` };
+    }
+    const priority = input.priority || '';
+    if (priority && !PRIORITIES.includes(priority)) {
+        return { error: `Priority must be one of: ${PRIORITIES.join(', ')}` };
+    }
+    const { links, error } = normalizeLinks(input.projectLinks);
+    if (error) return { error };
+
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    return {
+        template: {
+            name,
+            description: text(input.description),
+            scopeOfWork: text(input.scopeOfWork),
+            projectType: text(input.projectType),
+            country,
+            priority,
+            timeline: text(input.timeline),
+            projectLinks: links,
+            clientId: input.clientId || null
+        }
+    };
+}
+
+// Proposal fields a template fills in; empty template fields leave the usual defaults
+function templateDefaults(template) {
+    const defaults = {};
+    for (const field of ['scopeOfWork', 'projectType', 'country', 'priority', 'timeline', 'clientId']) {
+        if (template[field]) defaults[field] = template[field];
+    }
+    if (template.projectLinks?.length) defaults.projectLinks = template.projectLinks;
+    return defaults;
+}
+
+// Checks the parts requested for a clone. Returns { parts } or { error }.
+function parseCloneParts(parts = []) {
+    if (!Array.isArray(parts)) return { error: 'parts must be a list.' };
+    const unknown = parts.filter(part => !CLONE_PARTS.includes(part));
+    if (unknown.length) return { error: `Unknown clone part(s): ${unknown.join(', ')}. Choose from: ${CLONE_PARTS.join(', ')}` };
+    return { parts: [...new Set(parts)] };
+}
+
+// Proposal fields a clone takes from `source`. The client and project profile always come along.
+function cloneDefaults(source, parts) {
+    const defaults = {
+        projectName: `${source.projectName} (copy)`,
+        clientId: source.clientId,
+        clientCompany: source.clientCompany,
+        projectType: source.projectType,
+        country: source.country,
+        priority: source.priority,
+        timeline: source.timeline
+    };
+    if (parts.includes('scope')) {
+        defaults.scopeOfWork = source.scopeOfWork;
+        defaults.comments = source.comments;
+    }
+    if (parts.includes('links')) defaults.projectLinks = source.projectLinks || [];
+    return defaults;
+}
+
+// The source estimation as a starting point. It is stored apart from `estimation`, whose presence
+// means the proposal has been estimated, and without the source's quote number and sign-off.
+function estimationDraftOf(source, sourceId) {
+    if (!source.estimation) return null;
+    const { quoteNumber, estimatedBy, estimatedAt, ...draft } = source.estimation;
+    return { ...draft, copiedFromProposalId: sourceId, copiedFromQuoteNumber: quoteNumber || null };
+}
+
+function isCloneableFile(file, parts) {
+    if (file.deletedAt || file.superseded) return false;
+    if (!file.fileType || file.fileType === 'project' || file.fileType === 'link') return true;
+    return file.fileType === 'estimation' && parts.includes('estimation');
+}
+
+// A copy of a file record pointing at the same bucket object; nothing is re-uploaded. The original
+// uploader stays the uploader, so cloning does not hand anyone delete rights on files they never
+// uploaded; the person who cloned it is recorded separately.
+function cloneFileRecord(file, proposalId, user, now) {
+    const { id, ...fileData } = file;
+    return {
+        ...fileData,
+        proposalId,
+        copiedFromFileId: id,
+        clonedAt: now,
+        clonedByUid: user.uid,
+        clonedByName: user.name
+    };
+}
+
+module.exports = {
+    CLONE_PARTS,
+    validateTemplate,
+    templateDefaults,
+    parseCloneParts,
+    cloneDefaults,
+    estimationDraftOf,
+    isCloneableFile,
+    cloneFileRecord
+};
@@ -0,0 +1,118 @@
+// Proposal version snapshots and field-level diffs.
+// Every mutating action stores the complete resulting proposal in proposals/{id}/versions/{version},
+// so any two versions can be compared after later actions have overwritten the live document.
+
+// Bookkeeping fields that change on every write and would only add noise to a diff.
+// sla is restamped on every status change and by the escalation job; followUpRemindedFor is
+// written by the follow-up reminder job; projectId is set when a proposal won earlier is converted.
+const IGNORED_FIELDS = ['changeLog', 'version', 'updatedAt', 'sla', 'followUpRemindedFor', 'projectId'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        typeof value.toDate !== 'function' && value._seconds === undefined;
+}
+
+// Firestore Timestamps (live or JSON-serialized) compare as ISO strings
+function normalizeValue(value) {
+    if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (value && value._seconds !== undefined) return new Date(value._seconds * 1000).toISOString();
+    if (Array.isArray(value)) return value.map(normalizeValue);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, normalizeValue(v)]));
+    }
+    return value === undefined ? null : value;
+}
+
+// Applies a Firestore update object (including dotted field paths) to a plain copy of the document.
+// Callers resolve FieldValue sentinels first: values here are written as-is.
+function applyUpdates(document, updates) {
+    const result = JSON.parse(JSON.stringify(normalizeValue(document)));
+    for (const [path, value] of Object.entries(updates)) {
+        const keys = path.split('.');
+        let target = result;
+        keys.slice(0, -1).forEach(key => {
+            if (!isPlainObject(target[key])) target[key] = {};
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = normalizeValue(value);
+    }
+    return result;
+}
+
+// The stored snapshot: the whole proposal minus the change log, which has its own history
+function toSnapshot(document) {
+    const { changeLog, ...snapshot } = normalizeValue(document);
+    return snapshot;
+}
+
+function flatten(value, prefix = '', result = {}) {
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+        Object.entries(value).forEach(([key, v]) => flatten(v, prefix ? `${prefix}.${key}` : key, result));
+    } else if (prefix) {
+        result[prefix] = value;
+    }
+    return result;
+}
+
+// Field-level differences between two snapshots: [{ field, from, to }], field as a dotted path.
+// Arrays compare as whole values.
+function diffSnapshots(before = {}, after = {}) {
+    const a = flatten(normalizeValue(before));
+    const b = flatten(normalizeValue(after));
+    const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])]
+        .filter(field => !IGNORED_FIELDS.includes(field.split('.')[0]))
+        .sort();
+
+    return fields
+        .filter(field => JSON.stringify(a[field] ?? null) !== JSON.stringify(b[field] ?? null))
+        .map(field => ({ field, from: a[field] ?? null, to: b[field] ?? null }));
+}
+
+// Writes a change to a proposal in `transaction` the way every proposal change is recorded: the
+// update with the next version and a change log entry, the snapshot of the result and, for proposals
+// saved before snapshots existed, a baseline of the current state. `baseVersionDoc` is
+// versions/{current version}, read by the caller since transactions need all reads before writes.
+// details defaults to the changed fields. Returns { version, snapshot }.
+function writeVersionedUpdate(transaction, proposalRef, proposal, baseVersionDoc, updates, { action, details, user, savedAt }) {
+    const currentVersion = proposal.version || 1;
+    const version = currentVersion + 1;
+    const snapshot = toSnapshot(applyUpdates(proposal, { ...updates, version, updatedAt: savedAt }));
+    const changedFields = diffSnapshots(toSnapshot(proposal), snapshot).map(change => change.field);
+
+    const changeLog = [...(proposal.changeLog || []), {
+        timestamp: savedAt.toDate().toISOString(),
+        action,
+        performedByName: user.name,
+        details: details || (changedFields.length > 0 ? `Changed: ${changedFields.join(', ')}` : `${action.replace(/_/g, ' ')} completed`),
+        version
+    }];
+
+    if (!baseVersionDoc.exists) {
+        transaction.set(baseVersionDoc.ref, {
+            version: currentVersion,
+            action: 'baseline',
+            status: proposal.status,
+            changedFields: [],
+            snapshot: toSnapshot(proposal),
+            savedAt,
+            savedByName: 'System',
+            savedByRole: null,
+            savedByUid: null
+        });
+    }
+    transaction.set(proposalRef.collection('versions').doc(String(version)), {
+        version,
+        action,
+        status: snapshot.status,
+        changedFields,
+        snapshot,
+        savedAt,
+        savedByName: user.name,
+        savedByRole: user.role,
+        savedByUid: user.uid
+    });
+    transaction.update(proposalRef, { ...updates, version, changeLog });
+    return { version, snapshot };
+}
+
+module.exports = { applyUpdates, toSnapshot, diffSnapshots, writeVersionedUpdate };
@@ -0,0 +1,184 @@
+// Proposal workflow state machine.
+// Every PUT action on a proposal is looked up in TRANSITIONS before any update is built,
+// so the allowed from-statuses, roles, resulting status and required data live in one table.
+// The access policy (_policy.js) enforces the roles, statuses and assignees from it.
+
+const PROPOSAL_STATUSES = [
+    'pending_estimation',
+    'pending_pricing',
+    'pending_director_approval',
+    'revision_required',
+    'approved',
+    'submitted_to_client',
+    'won',
+    'lost'
+];
+
+// Statuses in which estimation work is assigned to an estimator
+const ESTIMATION_STATUSES = ['pending_estimation', 'revision_required'];
+
+// Statuses after the Director has approved the pricing: quotations can be generated and BDMs see
+// the estimation files
+const QUOTABLE_STATUSES = ['approved', 'submitted_to_client', 'won'];
+
+// to: null means the action edits the proposal without changing its status.
+// revisionAssignee: when the proposal is in 'revision_required', only the role the Director
+// sent it back to (directorApproval.requiresRevisionBy) may act.
+// estimatorAssignee: an estimator may only act when the proposal is assigned to them (assignedEstimatorUid).
+// allowedValues: optional fields that must be one of the listed values when they are sent.
+const TRANSITIONS = [
+    {
+        action: 'edit_proposal',
+        from: ['pending_estimation', 'revision_required'],
+        roles: ['bdm'],
+        to: null,
+        requiredFields: ['projectName', 'clientCompany', 'scopeOfWork'],
+        revisionAssignee: true
+    },
+    {
+        action: 'add_links',
+        from: PROPOSAL_STATUSES,
+        roles: ['bdm', 'estimator', 'coo', 'director'],
+        to: null,
+        requiredFields: ['links']
+    },
+    {
+        action: 'add_estimation',
+        from: ['pending_estimation', 'revision_required'],
+        roles: ['estimator'],
+        to: 'pending_pricing',
+        requiredFields: ['totalHours', 'tonnage', 'services'],
+        revisionAssignee: true,
+        estimatorAssignee: true
+    },
+    {
+        action: 'assign_estimator',
+        from: ESTIMATION_STATUSES,
+        roles: ['coo', 'director'],
+        to: null,
+        requiredFields: ['estimatorUid']
+    },
+    {
+        action: 'claim_estimation',
+        from: ESTIMATION_STATUSES,
+        roles: ['estimator'],
+        to: null,
+        requiredFields: [],
+        revisionAssignee: true
+    },
+    {
+        action: 'release_estimation',
+        from: ESTIMATION_STATUSES,
+        roles: ['estimator', 'coo', 'director'],
+        to: null,
+        requiredFields: [],
+        estimatorAssignee: true
+    },
+    {
+        action: 'set_pricing',
+        from: ['pending_pricing'],
+        roles: ['coo'],
+        to: 'pending_director_approval',
+        requiredFields: ['profitMargin', 'currency']
+    },
+    // The approval actions keep their original names; who may approve a given quote, and how many
+    // approvals it needs before it moves to 'approved', comes from the approval policy (_approvals.js)
+    {
+        action: 'director_approve',
+        from: ['pending_director_approval'],
+        roles: ['coo', 'director'],
+        to: 'approved',
+        requiredFields: []
+    },
+    {
+        action: 'director_reject',
+        from: ['pending_director_approval'],
+        roles: ['coo', 'director'],
+        to: 'revision_required',
+        requiredFields: ['comments'],
+        // The role the proposal goes back to; the estimator when left out
+        allowedValues: { requiresRevisionBy: ['bdm', 'estimator'] }
+    },
+    {
+        action: 'resubmit_after_revision',
+        from: ['revision_required'],
+        roles: ['estimator', 'bdm'],
+        to: 'pending_director_approval',
+        requiredFields: ['notes'],
+        revisionAssignee: true,
+        estimatorAssignee: true
+    },
+    {
+        action: 'submit_to_client',
+        from: ['approved'],
+        roles: ['bdm'],
+        to: 'submitted_to_client',
+        requiredFields: []
+    },
+    {
+        action: 'log_follow_up',
+        from: ['submitted_to_client'],
+        roles: ['bdm'],
+        to: null,
+        requiredFields: ['notes']
+    },
+    {
+        action: 'transfer_ownership',
+        from: PROPOSAL_STATUSES,
+        roles: ['coo', 'director'],
+        to: null,
+        requiredFields: ['newOwnerUid']
+    },
+    {
+        action: 'mark_job_won',
+        from: ['approved', 'submitted_to_client'],
+        roles: ['bdm'],
+        to: 'won',
+        requiredFields: []
+    },
+    {
+        action: 'mark_job_lost',
+        from: ['approved', 'submitted_to_client'],
+        roles: ['bdm'],
+        to: 'lost',
+        requiredFields: ['reasonKey']
+    }
+];
+
+function isMissing(value) {
+    if (value === undefined || value === null) return true;
+    if (typeof value === 'string' && value.trim() === '') return true;
+    if (Array.isArray(value) && value.length === 0) return true;
+    return false;
+}
+
+// Returns { transition } when the action exists and has the data it needs, otherwise { status, error }
+// with status 400 (unknown action, missing data or a value outside allowedValues). Who may take it, on whose proposals and from which statuses is checked beforehand
+// by the access policy (_policy.js), whose proposal rules are built from this table.
+function resolveTransition(action, data = {}) {
+    const transition = TRANSITIONS.find(t => t.action === action);
+    if (!transition) {
+        return { status: 400, error: `Invalid action: ${action}` };
+    }
+
+    const missingFields = transition.requiredFields.filter(field => isMissing(data[field]));
+    if (missingFields.length > 0) {
+        return {
+            status: 400,
+            error: `Missing required fields for '${action}': ${missingFields.join(', ')}`
+        };
+    }
+
+    for (const [field, values] of Object.entries(transition.allowedValues || {})) {
+        if (data[field] !== undefined && !values.includes(data[field])) {
+            return {
+                status: 400,
+                error: `${field} must be one of: ${values.join(', ')}`
+            };
+        }
+    }
+
+    return { transition };
+}
+
+module.exports = { PROPOSAL_STATUSES, ESTIMATION_STATUSES, QUOTABLE_STATUSES, TRANSITIONS, resolveTransition };
@@ -0,0 +1,144 @@
+// Quotation PDF generation.
+// Renders the client-facing quotation for an approved proposal and stores it as a 'quotation'
+// file record. Each generation is a new file; earlier quotations are kept and marked superseded
+// so every revision sent to the client stays on record.
+const admin = require('./_firebase-admin');
+const PDFDocument = require('pdfkit');
+
+const db = admin.firestore();
+const bucket = admin.storage().bucket();
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'EDANBROOK';
+const BRAND_COLOR = '#0099CC';
+
+function formatAmount(amount, currency) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(amount || 0);
+}
+
+function renderQuotationPdf(proposal) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const { estimation = {}, pricing = {} } = proposal;
+
+        // Header
+        doc.fillColor(BRAND_COLOR).fontSize(24).text(COMPANY_NAME, { continued: false });
+        doc.fillColor('#333333').fontSize(16).text('Quotation', { align: 'right' });
+        doc.fontSize(10)
+            .text(`Quote No: ${proposal.quoteNumber || pricing.quoteNumber || 'N/A'}`, { align: 'right' })
+            .text(`Date: ${new Date().toISOString().slice(0, 10)}`, { align: 'right' });
+        doc.moveDown(2);
+
+        // Client and project
+        doc.fontSize(12).fillColor(BRAND_COLOR).text('Prepared for');
+        doc.fillColor('#333333').fontSize(10)
+            .text(proposal.clientCompany)
+            .text(`Project: ${proposal.projectName}`)
+            .text(`Location: ${proposal.country || 'Not Specified'}`);
+        doc.moveDown();
+
+        doc.fontSize(12).fillColor(BRAND_COLOR).text('Scope of Work');
+        doc.fillColor('#333333').fontSize(10).text(proposal.scopeOfWork || '');
+        doc.moveDown();
+
+        if (estimation.services?.length) {
+            doc.fontSize(12).fillColor(BRAND_COLOR).text('Services Included');
+            doc.fillColor('#333333').fontSize(10).list(estimation.services);
+            doc.moveDown();
+        }
+
+        doc.fontSize(12).fillColor(BRAND_COLOR).text('Estimate');
+        doc.fillColor('#333333').fontSize(10);
+        if (pricing.pricingBasis === 'tonnage') {
+            doc.text(`Tonnage: ${estimation.tonnage || 0} tons`);
+        } else {
+            doc.text(`Estimated Hours: ${pricing.breakdown?.pricedHours || estimation.totalHours || 0}`);
+            if (estimation.tonnage) doc.text(`Tonnage: ${estimation.tonnage} tons`);
+        }
+        doc.moveDown();
+
+        // Price: the client sees the total only, never internal rates or margin
+        doc.fontSize(12).fillColor(BRAND_COLOR).text('Price');
+        doc.fillColor('#333333').fontSize(14)
+            .text(`${pricing.quoteType || 'Lump Sum'}: ${formatAmount(pricing.quoteValue, pricing.currency)} ${pricing.currency || 'USD'}`);
+        if (pricing.quoteType === 'Per Hour' && pricing.breakdown?.billedHourlyRate) {
+            doc.fontSize(10).text(`Billed at ${formatAmount(pricing.breakdown.billedHourlyRate, pricing.currency)} per hour; total is based on estimated hours.`);
+        }
+        doc.moveDown();
+
+        if (proposal.directorApproval?.comments) {
+            doc.fontSize(12).fillColor(BRAND_COLOR).text('Notes');
+            doc.fillColor('#333333').fontSize(10).text(proposal.directorApproval.comments);
+            doc.moveDown();
+        }
+
+        doc.fontSize(8).fillColor('#777777')
+            .text(`This quotation is valid for 30 days from the date above. ${COMPANY_NAME}`, 50, doc.page.height - 80, { align: 'center' });
+
+        doc.end();
+    });
+}
+
+// Renders, uploads and records a quotation for the proposal. Returns the new file record.
+async function generateQuotation(proposalId, proposal, user) {
+    const pdf = await renderQuotationPdf(proposal);
+
+    const quoteNumber = proposal.quoteNumber || proposal.pricing?.quoteNumber || proposalId;
+    const safeQuoteNumber = quoteNumber.replace(/[^a-zA-Z0-9.\-_]/g, '_');
+    const fileName = `${proposalId}/quotations/${Date.now()}-${safeQuoteNumber}.pdf`;
+    const fileRef = bucket.file(fileName);
+    await fileRef.save(pdf, {
+        metadata: { contentType: 'application/pdf' },
+        public: true
+    });
+
+    const previousSnapshot = await db.collection('files')
+        .where('proposalId', '==', proposalId)
+        .where('fileType', '==', 'quotation')
+        .get();
+
+    const docRef = db.collection('files').doc();
+    const fileData = {
+        fileName,
+        originalName: `Quotation ${quoteNumber}.pdf`,
+        url: fileRef.publicUrl(),
+        mimeType: 'application/pdf',
+        fileSize: pdf.length,
+        proposalId,
+        fileType: 'quotation',
+        quoteNumber,
+        proposalVersion: proposal.version || 1,
+        superseded: false,
+        uploadedAt: admin.firestore.FieldValue.serverTimestamp(),
+        uploadedByUid: user.uid,
+        uploadedByName: user.name,
+        uploadedByRole: user.role
+    };
+
+    const batch = db.batch();
+    previousSnapshot.docs
+        .filter(doc => !doc.data().superseded)
+        .forEach(doc => batch.update(doc.ref, { superseded: true }));
+    batch.set(docRef, fileData);
+    batch.set(db.collection('activities').doc(), {
+        type: 'quotation_generated',
+        details: `Quotation PDF generated: ${quoteNumber} (${formatAmount(proposal.pricing?.quoteValue, proposal.pricing?.currency)})`,
+        performedByName: user.name,
+        performedByRole: user.role,
+        performedByUid: user.uid,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        proposalId,
+        projectName: proposal.projectName,
+        clientCompany: proposal.clientCompany,
+        fileId: docRef.id
+    });
+    await batch.commit();
+
+    return { id: docRef.id, ...fileData };
+}
+
+module.exports = { renderQuotationPdf, generateQuotation };
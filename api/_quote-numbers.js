@@ -0,0 +1,107 @@
+// Quote number allocation.
+// Numbers are rendered from a pattern such as 'EB-{YYYY}-{seq:4}-R{revision}'. The sequence comes
+// from a counter document incremented inside the caller's Firestore transaction, so two proposals
+// estimated at the same moment can never receive the same number and no sequence is skipped.
+//
+// Tokens: {YYYY} {YY} {MM} year/month of allocation, {seq} or {seq:N} sequence zero-padded to N,
+// {revision} number of resubmissions after a Director revision request (starts at 0).
+const admin = require('./_firebase-admin');
+
+const db = admin.firestore();
+
+const DEFAULT_PATTERN = 'EB-{YYYY}-{seq:4}-R{revision}';
+const TOKEN_PATTERN = /\{(YYYY|YY|MM|seq(?::\d{1,2})?|revision)\}/g;
+
+function validatePattern(pattern) {
+    if (typeof pattern !== 'string' || !pattern.trim()) {
+        return { error: 'Quote number pattern is required.' };
+    }
+    const unknown = (pattern.match(/\{[^}]*\}/g) || []).filter(token => !token.match(new RegExp(TOKEN_PATTERN.source)));
+    if (unknown.length > 0) {
+        return { error: `Unknown tokens in quote number pattern: ${unknown.join(', ')}` };
+    }
+    if (!/\{seq(?::\d{1,2})?\}/.test(pattern)) {
+        return { error: 'Quote number pattern must contain a {seq} token.' };
+    }
+    return { pattern: pattern.trim() };
+}
+
+// parts: { pattern, year, month, seq, revision } as stored on the proposal
+function formatQuoteNumber({ pattern, year, month, seq, revision }) {
+    return pattern.replace(TOKEN_PATTERN, (match, token) => {
+        if (token === 'YYYY') return String(year);
+        if (token === 'YY') return String(year).slice(-2);
+        if (token === 'MM') return String(month).padStart(2, '0');
+        if (token === 'revision') return String(revision);
+        const width = parseInt(token.split(':')[1], 10) || 0;
+        return String(seq).padStart(width, '0');
+    });
+}
+
+// Patterns with a year token restart the sequence every year
+function counterId(pattern, year) {
+    return /\{YY(YY)?\}/.test(pattern) ? `quoteNumbers-${year}` : 'quoteNumbers';
+}
+
+// The parts of a quote number written with `pattern`, or null when it was not. Two-digit years are
+// read as 20YY.
+function parseQuoteNumber(quoteNumber, pattern) {
+    const tokens = [];
+    const source = pattern.split(TOKEN_PATTERN).map((piece, index) => {
+        if (index % 2 === 0) return piece.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        tokens.push(piece);
+        if (piece === 'YYYY') return '(\\d{4})';
+        if (piece === 'YY' || piece === 'MM') return '(\\d{2})';
+        return '(\\d+)';
+    }).join('');
+    const match = String(quoteNumber).match(new RegExp(`^${source}$`));
+    if (!match) return null;
+
+    const parts = { pattern, year: null, month: null, seq: null, revision: 0 };
+    tokens.forEach((token, index) => {
+        const value = parseInt(match[index + 1], 10);
+        if (token === 'YYYY') parts.year = value;
+        else if (token === 'YY') parts.year = 2000 + value;
+        else if (token === 'MM') parts.month = value;
+        else if (token === 'revision') parts.revision = value;
+        else parts.seq = value;
+    });
+    return parts;
+}
+
+// Moves the counters past quote numbers that were written elsewhere (imported history), so the
+// sequence never hands out one of them again. Numbers not written with `pattern` cannot collide.
+async function reserveQuoteNumbers(quoteNumbers, pattern) {
+    const highest = {};
+    for (const quoteNumber of quoteNumbers) {
+        const parts = parseQuoteNumber(quoteNumber, pattern);
+        if (!parts) continue;
+        const id = counterId(pattern, parts.year);
+        highest[id] = Math.max(highest[id] || 0, parts.seq);
+    }
+    for (const [id, seq] of Object.entries(highest)) {
+        const counterRef = db.collection('counters').doc(id);
+        await db.runTransaction(async (transaction) => {
+            const counterDoc = await transaction.get(counterRef);
+            if ((counterDoc.exists ? counterDoc.data().lastSeq || 0 : 0) >= seq) return;
+            transaction.set(counterRef, { lastSeq: seq, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+        });
+    }
+}
+
+// Reserves the next sequence inside a transaction and returns { quoteNumber, quoteNumberParts }.
+// Firestore requires reads before writes, so call this after the transaction's other reads.
+async function allocateQuoteNumber(transaction, pattern, date = new Date()) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const counterRef = db.collection('counters').doc(counterId(pattern, year));
+
+    const counterDoc = await transaction.get(counterRef);
+    const seq = (counterDoc.exists ? counterDoc.data().lastSeq || 0 : 0) + 1;
+    transaction.set(counterRef, { lastSeq: seq, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+
+    const quoteNumberParts = { pattern, year, month, seq, revision: 0 };
+    return { quoteNumber: formatQuoteNumber(quoteNumberParts), quoteNumberParts };
+}
+
+module.exports = { DEFAULT_PATTERN, validatePattern, formatQuoteNumber, parseQuoteNumber, allocateQuoteNumber, reserveQuoteNumbers };
@@ -0,0 +1,119 @@
+// Rate card rules shared by api/rate-cards.js (management) and api/proposals.js (set_pricing).
+// A rate card holds hourly rates per discipline hour bucket (and optionally a rate per ton)
+// for one service, country and currency, valid between effectiveFrom and effectiveTo.
+const { HOUR_BUCKETS } = require('./_pricing');
+const { CURRENCIES } = require('./_currency');
+
+const SERVICES = [
+    'Steel Detailing',
+    'Miscellaneous Steel Detailing',
+    'Connection Design',
+    'PE Stamping',
+    'Joist Detailing',
+    'As-built Drawings',
+    'Structural Engineering'
+];
+const COUNTRIES = ['Australia', 'USA', 'Canada', 'UK'];
+
+// Wildcards: a card for ALL_SERVICES / ALL_COUNTRIES applies when no more specific card does
+const ALL_SERVICES = 'All Services';
+const ALL_COUNTRIES = 'All Countries';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function todayIsoDate() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// Validates a create/update body. Returns { rateCard } with normalized fields or { error }.
+function validateRateCard(input = {}) {
+    const name = (input.name || '').trim();
+    if (!name) return { error: 'Rate card name is required.' };
+
+    const service = input.service || ALL_SERVICES;
+    if (service !== ALL_SERVICES && !SERVICES.includes(service)) {
+        return { error: `Unknown service '${service}'.` };
+    }
+    const country = input.country || ALL_COUNTRIES;
+    if (country !== ALL_COUNTRIES && !COUNTRIES.includes(country)) {
+        return { error: `Unknown country '${country}'.` };
+    }
+    if (!CURRENCIES.includes(input.currency)) {
+        return { error: `Currency must be one of: ${CURRENCIES.join(', ')}` };
+    }
+
+    const rates = {};
+    for (const bucket of HOUR_BUCKETS) {
+        const rate = parseFloat(input.rates?.[bucket.key]);
+        if (!Number.isFinite(rate) || rate <= 0) {
+            return { error: `A rate greater than 0 is required for ${bucket.label} hours.` };
+        }
+        rates[bucket.key] = rate;
+    }
+
+    let ratePerTon = null;
+    if (input.ratePerTon !== undefined && input.ratePerTon !== null && input.ratePerTon !== '') {
+        ratePerTon = parseFloat(input.ratePerTon);
+        if (!Number.isFinite(ratePerTon) || ratePerTon <= 0) {
+            return { error: 'Rate per ton must be greater than 0 when set.' };
+        }
+    }
+
+    const effectiveFrom = input.effectiveFrom || todayIsoDate();
+    const effectiveTo = input.effectiveTo || null;
+    if (!DATE_PATTERN.test(effectiveFrom) || (effectiveTo && !DATE_PATTERN.test(effectiveTo))) {
+        return { error: 'Effective dates must be in YYYY-MM-DD format.' };
+    }
+    if (effectiveTo && effectiveTo < effectiveFrom) {
+        return { error: 'Effective To must not be before Effective From.' };
+    }
+
+    return {
+        rateCard: {
+            name,
+            service,
+            country,
+            currency: input.currency,
+            rates,
+            ratePerTon,
+            effectiveFrom,
+            effectiveTo,
+            notes: (input.notes || '').trim()
+        }
+    };
+}
+
+function isEffectiveOn(card, date) {
+    return card.active !== false &&
+        card.effectiveFrom <= date &&
+        (!card.effectiveTo || card.effectiveTo >= date);
+}
+
+// Picks the most specific card in effect for a proposal: an exact service beats
+// ALL_SERVICES, an exact country beats ALL_COUNTRIES, then the latest effectiveFrom wins.
+function findMatchingRateCard(cards, { services = [], country, currency, date = todayIsoDate() }) {
+    const candidates = cards
+        .filter(card => isEffectiveOn(card, date))
+        .filter(card => !currency || card.currency === currency)
+        .filter(card => card.service === ALL_SERVICES || services.includes(card.service))
+        .filter(card => card.country === ALL_COUNTRIES || card.country === country)
+        .map(card => ({
+            card,
+            score: (card.service !== ALL_SERVICES ? 2 : 0) + (card.country !== ALL_COUNTRIES ? 1 : 0)
+        }));
+
+    candidates.sort((a, b) => b.score - a.score || b.card.effectiveFrom.localeCompare(a.card.effectiveFrom));
+    return candidates.length > 0 ? candidates[0].card : null;
+}
+
+module.exports = {
+    SERVICES,
+    COUNTRIES,
+    CURRENCIES,
+    ALL_SERVICES,
+    ALL_COUNTRIES,
+    todayIsoDate,
+    validateRateCard,
+    isEffectiveOn,
+    findMatchingRateCard
+};
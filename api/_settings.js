@@ -0,0 +1,66 @@
+// Company-wide settings stored as one Firestore document per key in the 'settings' collection.
+// Each key declares its defaults and a validator, so api/settings.js stays generic and other routes
+// read settings through getSetting(). Who may change them is the access policy's 'setting' rules.
+const admin = require('./_firebase-admin');
+const { CURRENCIES } = require('./_currency');
+const { DEFAULT_PATTERN, validatePattern } = require('./_quote-numbers');
+const { DEFAULT_SLA, validateSlaSettings } = require('./_sla');
+const { DEFAULT_APPROVAL_POLICY, validateApprovalPolicy } = require('./_approvals');
+const { DEFAULT_LOSS_REASONS, validateLossReasons } = require('./_win-loss');
+const { DEFAULT_FOLLOW_UPS, validateFollowUpSettings } = require('./_follow-ups');
+
+const db = admin.firestore();
+
+const SETTINGS = {
+    reporting: {
+        defaults: { reportingCurrency: 'USD' },
+        validate(value) {
+            if (!CURRENCIES.includes(value.reportingCurrency)) {
+                return { error: `Reporting currency must be one of: ${CURRENCIES.join(', ')}` };
+            }
+            return { value: { reportingCurrency: value.reportingCurrency } };
+        }
+    },
+    quoteNumbers: {
+        defaults: { pattern: DEFAULT_PATTERN },
+        validate(value) {
+            const { pattern, error } = validatePattern(value.pattern);
+            return error ? { error } : { value: { pattern } };
+        }
+    },
+    trash: {
+        defaults: { retentionDays: 30 },
+        validate(value) {
+            const retentionDays = parseInt(value.retentionDays, 10);
+            if (!Number.isInteger(retentionDays) || retentionDays < 1 || retentionDays > 365) {
+                return { error: 'Trash retention must be between 1 and 365 days.' };
+            }
+            return { value: { retentionDays } };
+        }
+    },
+    sla: {
+        defaults: DEFAULT_SLA,
+        validate: validateSlaSettings
+    },
+    approvals: {
+        defaults: DEFAULT_APPROVAL_POLICY,
+        validate: validateApprovalPolicy
+    },
+    lossReasons: {
+        defaults: DEFAULT_LOSS_REASONS,
+        validate: validateLossReasons
+    },
+    followUps: {
+        defaults: DEFAULT_FOLLOW_UPS,
+        validate: validateFollowUpSettings
+    }
+};
+
+// Reads a setting merged over its defaults. Pass a transaction to read inside one.
+async function getSetting(key, transaction = null) {
+    const ref = db.collection('settings').doc(key);
+    const doc = transaction ? await transaction.get(ref) : await ref.get();
+    return { ...SETTINGS[key].defaults, ...(doc.exists ? doc.data() : {}) };
+}
+
+module.exports = { SETTINGS, getSetting };
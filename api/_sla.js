@@ -0,0 +1,213 @@
+// Stage SLAs: how long a proposal may wait in a status before it is overdue.
+// Targets are set per status and priority in the 'sla' setting. Each transition into a timed status
+// stamps proposal.sla with when the stage started and when it is due; the 'sla-escalations' cron job
+// (escalateOverdueProposals) notifies the stage owner once the due time passes, then the Director
+// if it is still waiting.
+
+const admin = require('./_firebase-admin');
+const { isTrashed } = require('./_trash');
+const { approvalRequirement } = require('./_approvals');
+
+const db = admin.firestore();
+
+// Timed statuses and the role that has to act on each. Director approval goes to the COO instead when
+// the approval policy lets a COO approve the quote (see stageOwner).
+const SLA_STAGES = {
+    pending_estimation: 'estimator',
+    pending_pricing: 'coo',
+    pending_director_approval: 'director'
+};
+const PRIORITIES = ['Low', 'Medium', 'High'];
+
+const DEFAULT_SLA = {
+    // Calendar hours per status and priority
+    targets: {
+        pending_estimation: { High: 48, Medium: 72, Low: 120 },
+        pending_pricing: { High: 24, Medium: 48, Low: 72 },
+        pending_director_approval: { High: 24, Medium: 48, Low: 72 }
+    },
+    // Hours after the due time before the Director is escalated to as well
+    directorEscalationHours: 24
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_HOURS = 24 * 90;
+
+function isHours(value) {
+    return Number.isFinite(value) && value >= 1 && value <= MAX_HOURS;
+}
+
+// Validates the 'sla' setting. Missing statuses or priorities keep their defaults.
+function validateSlaSettings(value) {
+    const targets = {};
+    for (const status of Object.keys(SLA_STAGES)) {
+        targets[status] = {};
+        for (const priority of PRIORITIES) {
+            const raw = value.targets?.[status]?.[priority];
+            const hours = raw === undefined ? DEFAULT_SLA.targets[status][priority] : parseFloat(raw);
+            if (!isHours(hours)) {
+                return { error: `SLA for ${status.replace(/_/g, ' ')} (${priority}) must be between 1 and ${MAX_HOURS} hours.` };
+            }
+            targets[status][priority] = hours;
+        }
+    }
+    const directorEscalationHours = value.directorEscalationHours === undefined
+        ? DEFAULT_SLA.directorEscalationHours
+        : parseFloat(value.directorEscalationHours);
+    if (!isHours(directorEscalationHours)) {
+        return { error: `Director escalation must be between 1 and ${MAX_HOURS} hours after the due time.` };
+    }
+    return { value: { targets, directorEscalationHours } };
+}
+
+function targetHours(settings, status, priority) {
+    const byPriority = settings.targets?.[status] || DEFAULT_SLA.targets[status];
+    return byPriority?.[PRIORITIES.includes(priority) ? priority : 'Medium'] ?? null;
+}
+
+// The proposal.sla stamp for a proposal entering `status` at `enteredAt` (a Date).
+// Statuses without an SLA get a stamp with no due time.
+function stageSla(status, priority, settings, enteredAt) {
+    const hours = SLA_STAGES[status] ? targetHours(settings, status, priority) : null;
+    return {
+        status,
+        enteredAt: enteredAt.toISOString(),
+        dueAt: hours ? new Date(enteredAt.getTime() + hours * HOUR_MS).toISOString() : null,
+        targetHours: hours,
+        escalationLevel: 0
+    };
+}
+
+// When the stage started. Proposals from before SLAs were tracked fall back to their last update.
+function stageStart(proposal) {
+    if (proposal.sla?.status === proposal.status && proposal.sla.enteredAt) return new Date(proposal.sla.enteredAt);
+    const ts = proposal.updatedAt || proposal.createdAt;
+    const seconds = ts && (ts.seconds ?? ts._seconds);
+    return seconds ? new Date(seconds * 1000) : null;
+}
+
+// Due time, overdue flag and escalation level for the proposal's current stage, as of `now`.
+// Level 1 means the stage owner should be told; level 2 means the Director as well.
+function slaStatus(proposal, settings, now = new Date()) {
+    const notTimed = { enteredAt: null, dueAt: null, overdue: false, hoursOverdue: 0, level: 0 };
+    if (!SLA_STAGES[proposal.status]) return notTimed;
+
+    const stamped = proposal.sla?.status === proposal.status ? proposal.sla : null;
+    const start = stageStart(proposal);
+    let dueAt = stamped?.dueAt ? new Date(stamped.dueAt) : null;
+    if (!dueAt && start) {
+        dueAt = new Date(start.getTime() + targetHours(settings, proposal.status, proposal.priority) * HOUR_MS);
+    }
+    if (!dueAt) return notTimed;
+
+    const overdueMs = now.getTime() - dueAt.getTime();
+    const overdue = overdueMs > 0;
+    const escalationMs = (settings.directorEscalationHours ?? DEFAULT_SLA.directorEscalationHours) * HOUR_MS;
+    return {
+        enteredAt: start ? start.toISOString() : null,
+        dueAt: dueAt.toISOString(),
+        overdue,
+        hoursOverdue: overdue ? Math.floor(overdueMs / HOUR_MS) : 0,
+        level: !overdue ? 0 : overdueMs >= escalationMs ? 2 : 1
+    };
+}
+
+// The role that has to act on the proposal in its current stage. `approvals` is { policy, rates }: the
+// 'approvals' setting and the exchange rates its thresholds are converted with.
+function stageOwner(proposal, approvals) {
+    if (proposal.status === 'pending_director_approval') {
+        return approvalRequirement(proposal, approvals.policy, approvals.rates).approverRoles[0];
+    }
+    return SLA_STAGES[proposal.status];
+}
+
+function escalationNotification(proposalId, proposal, state, level, owner) {
+    const stage = proposal.status.replace(/_/g, ' ');
+    const role = level === 1 ? owner : 'director';
+    return {
+        type: 'sla_escalation',
+        recipientRole: role,
+        // An assigned estimator is told directly rather than every estimator
+        recipientUid: role === 'estimator' ? (proposal.assignedEstimatorUid || null) : null,
+        proposalId,
+        message: level === 1
+            ? `⏰ ${proposal.projectName} is overdue in ${stage} (due ${state.dueAt.slice(0, 16).replace('T', ' ')} UTC)`
+            : `⏰ Escalation: ${proposal.projectName} has been waiting in ${stage} ${state.hoursOverdue}h past its SLA`,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        isRead: false
+    };
+}
+
+// Sends the escalations `proposal` is due, in a transaction that re-reads it: a proposal that has left
+// the stage it was queried in (new status, fresh SLA stamp) since the query is left to the next run,
+// so its new sla is never overwritten with the old one. Returns the number of notifications sent.
+async function escalateProposal(proposalRef, queried, settings, approvals, now) {
+    return db.runTransaction(async (transaction) => {
+        const proposalDoc = await transaction.get(proposalRef);
+        if (!proposalDoc.exists) return 0;
+        const proposal = proposalDoc.data();
+        const stageOf = p => (p.sla?.status === p.status ? p.sla.enteredAt : null);
+        if (isTrashed(proposal) || proposal.status !== queried.status || stageOf(proposal) !== stageOf(queried)) return 0;
+
+        const state = slaStatus(proposal, settings, now);
+        const stamped = stageOf(proposal) !== null ? proposal.sla : null;
+        const previousLevel = stamped?.escalationLevel || 0;
+        if (state.level <= previousLevel) return 0;
+
+        const owner = stageOwner(proposal, approvals);
+        for (let level = previousLevel + 1; level <= state.level; level++) {
+            transaction.set(db.collection('notifications').doc(), escalationNotification(proposalDoc.id, proposal, state, level, owner));
+        }
+        // Proposals from before SLAs were tracked get their stamp now
+        const sla = stamped || {
+            status: proposal.status,
+            enteredAt: state.enteredAt,
+            dueAt: state.dueAt,
+            targetHours: targetHours(settings, proposal.status, proposal.priority)
+        };
+        transaction.update(proposalRef, { sla: { ...sla, escalationLevel: state.level, escalatedAt: now.toISOString() } });
+        transaction.set(db.collection('activities').doc(), {
+            type: 'sla_escalated',
+            details: `SLA breached in ${proposal.status.replace(/_/g, ' ')}: ${state.hoursOverdue}h overdue, escalated to ${state.level === 1 ? owner : 'director'}`,
+            performedByName: 'System',
+            performedByRole: 'system',
+            performedByUid: null,
+            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+            proposalId: proposalDoc.id,
+            projectName: proposal.projectName,
+            clientCompany: proposal.clientCompany
+        });
+        return state.level - previousLevel;
+    });
+}
+
+// Notifies the stage owner, then the Director, about proposals past their due time. Each level is
+// sent once per stage (proposal.sla.escalationLevel), so the job can run as often as needed.
+// `approvalPolicy` is the 'approvals' setting, which decides who approves each quote. Returns counts of
+// what was checked and sent.
+async function escalateOverdueProposals(settings, approvalPolicy, now = new Date()) {
+    const result = { checked: 0, escalated: 0, notifications: 0 };
+    const snapshot = await db.collection('proposals').where('status', 'in', Object.keys(SLA_STAGES)).get();
+    const ratesSnapshot = await db.collection('exchangeRates').get();
+    const approvals = { policy: approvalPolicy, rates: ratesSnapshot.docs.map(doc => doc.data()) };
+
+    for (const doc of snapshot.docs) {
+        const proposal = doc.data();
+        if (isTrashed(proposal)) continue;
+        result.checked++;
+
+        // The query only picks candidates; escalateProposal decides on the current document
+        const stamped = proposal.sla?.status === proposal.status ? proposal.sla : null;
+        if (slaStatus(proposal, settings, now).level <= (stamped?.escalationLevel || 0)) continue;
+
+        const sent = await escalateProposal(doc.ref, proposal, settings, approvals, now);
+        if (sent > 0) {
+            result.escalated++;
+            result.notifications += sent;
+        }
+    }
+
+    return result;
+}
+
+module.exports = { SLA_STAGES, PRIORITIES, DEFAULT_SLA, validateSlaSettings, stageSla, slaStatus, escalateOverdueProposals };
@@ -0,0 +1,172 @@
+// Timesheets and estimate-vs-actual variance.
+// Everyone logs the hours they spent on won proposals, per day and per estimation discipline (the
+// HOUR_BUCKETS the estimator filled in), on one timesheet per person per week (Monday to Sunday,
+// id '<uid>_<weekStart>'). A sheet is edited as a draft, submitted, then approved or sent back by the
+// COO or a Director, who may not approve their own. Only approved hours count as actuals.
+const { HOUR_BUCKETS, estimatedHoursOf } = require('./_pricing');
+
+const TIMESHEET_STATUSES = ['draft', 'submitted', 'approved', 'rejected'];
+const EDITABLE_STATUSES = ['draft', 'rejected'];
+const MAX_ENTRIES = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Monday (YYYY-MM-DD) of the week containing `isoDate`
+function weekStartOf(isoDate) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - daysSinceMonday * DAY_MS).toISOString().slice(0, 10);
+}
+
+function isWeekStart(value) {
+    return DATE_PATTERN.test(value || '') && !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) && weekStartOf(value) === value;
+}
+
+function weekDays(weekStart) {
+    return Array.from({ length: 7 }, (_, i) => new Date(Date.parse(`${weekStart}T00:00:00Z`) + i * DAY_MS).toISOString().slice(0, 10));
+}
+
+function timesheetId(uid, weekStart) {
+    return `${uid}_${weekStart}`;
+}
+
+// Validates the entries of a week. `proposalsById` holds the proposals the entries refer to; hours can
+// only be logged against won ones. A proposal moved to the trash (deletedAt, see _trash.js) takes no new
+// hours, but the entries `savedEntries` already hold against it are kept so the week can still be saved.
+// Returns { entries, totalHours } or { error }.
+function validateEntries(entries, weekStart, proposalsById, savedEntries = []) {
+    if (!Array.isArray(entries)) return { error: 'entries must be a list.' };
+    if (entries.length > MAX_ENTRIES) return { error: `A week holds at most ${MAX_ENTRIES} entries.` };
+    const days = weekDays(weekStart);
+    const perDay = {};
+    const cleaned = [];
+    const unmatchedSaved = [...savedEntries];
+    // Each saved entry vouches for one unchanged entry (its notes may change)
+    const takeSaved = entry => {
+        const hours = Math.round(parseFloat(entry.hours) * 100) / 100;
+        const index = unmatchedSaved.findIndex(saved =>
+            saved.proposalId === entry.proposalId && saved.date === entry.date && saved.discipline === entry.discipline && saved.hours === hours);
+        if (index === -1) return false;
+        unmatchedSaved.splice(index, 1);
+        return true;
+    };
+
+    for (const [index, entry] of entries.entries()) {
+        const row = `Entry ${index + 1}`;
+        const proposal = proposalsById[entry?.proposalId];
+        if (!proposal) return { error: `${row}: proposal not found.` };
+        if (proposal.deletedAt) {
+            if (!takeSaved(entry)) return { error: `${row}: ${proposal.projectName} is in the trash and takes no new hours.` };
+        } else if (proposal.status !== 'won') {
+            return { error: `${row}: hours can only be logged against won proposals (${proposal.projectName} is ${proposal.status.replace(/_/g, ' ')}).` };
+        }
+        if (!days.includes(entry.date)) return { error: `${row}: date must fall in the week of ${weekStart}.` };
+        if (!HOUR_BUCKETS.some(bucket => bucket.key === entry.discipline)) {
+            return { error: `${row}: discipline must be one of: ${HOUR_BUCKETS.map(bucket => bucket.key).join(', ')}` };
+        }
+        const hours = parseFloat(entry.hours);
+        if (!Number.isFinite(hours) || hours <= 0 || hours > 24) return { error: `${row}: hours must be more than 0 and at most 24.` };
+        perDay[entry.date] = (perDay[entry.date] || 0) + hours;
+        if (perDay[entry.date] > 24) return { error: `More than 24 hours logged on ${entry.date}.` };
+
+        cleaned.push({
+            proposalId: entry.proposalId,
+            projectName: proposal.projectName,
+            date: entry.date,
+            discipline: entry.discipline,
+            hours: Math.round(hours * 100) / 100,
+            notes: typeof entry.notes === 'string' ? entry.notes.trim().slice(0, 500) : ''
+        });
+    }
+    return { entries: cleaned, totalHours: Math.round(cleaned.reduce((sum, e) => sum + e.hours, 0) * 100) / 100 };
+}
+
+// Each dimension maps a proposal to the { key, label } groups it counts towards
+const VARIANCE_DIMENSIONS = {
+    proposal: p => [{ key: p.id, label: p.quoteNumber ? `${p.projectName} (${p.quoteNumber})` : p.projectName }],
+    estimator: p => {
+        const name = p.assignedEstimatorName || p.estimation?.estimatedBy || 'Unknown';
+        return [{ key: p.assignedEstimatorUid || name, label: name }];
+    },
+    projectType: p => [{ key: p.projectType || 'Unknown', label: p.projectType || 'Unknown' }],
+    // A proposal with several services counts towards each of them
+    service: p => (p.estimation?.services?.length ? p.estimation.services : ['None']).map(s => ({ key: s, label: s }))
+};
+
+// Estimated vs approved actual hours for the won proposals that have actuals, broken down per proposal,
+// estimator, project type and service. variancePercent is positive when more hours were spent than estimated.
+function analyzeVariance(proposals, approvedEntries) {
+    const actualsByProposal = new Map();
+    for (const entry of approvedEntries) {
+        if (!actualsByProposal.has(entry.proposalId)) {
+            actualsByProposal.set(entry.proposalId, Object.fromEntries(HOUR_BUCKETS.map(bucket => [bucket.key, 0])));
+        }
+        actualsByProposal.get(entry.proposalId)[entry.discipline] += entry.hours;
+    }
+
+    const round = n => Math.round(n * 100) / 100;
+    const variance = (actual, estimated) => (estimated ? Math.round(((actual - estimated) / estimated) * 1000) / 10 : null);
+    const emptyHours = () => Object.fromEntries(HOUR_BUCKETS.map(bucket => [bucket.key, 0]));
+    const newRow = (key, label) => ({ key, label, proposals: 0, estimated: emptyHours(), actual: emptyHours() });
+    const add = (row, estimated, actual) => {
+        row.proposals++;
+        for (const bucket of HOUR_BUCKETS) {
+            row.estimated[bucket.key] += estimated[bucket.key];
+            row.actual[bucket.key] += actual[bucket.key];
+        }
+    };
+
+    const all = newRow('all', 'All');
+    const groups = Object.fromEntries(Object.keys(VARIANCE_DIMENSIONS).map(d => [d, new Map()]));
+    for (const p of proposals.filter(proposal => actualsByProposal.has(proposal.id))) {
+        const estimated = estimatedHoursOf(p.estimation);
+        const actual = actualsByProposal.get(p.id);
+        add(all, estimated, actual);
+        for (const [dimension, groupsOf] of Object.entries(VARIANCE_DIMENSIONS)) {
+            for (const group of groupsOf(p)) {
+                const map = groups[dimension];
+                if (!map.has(group.key)) map.set(group.key, newRow(group.key, group.label));
+                add(map.get(group.key), estimated, actual);
+            }
+        }
+    }
+
+    const summarize = row => {
+        const estimatedHours = HOUR_BUCKETS.reduce((sum, bucket) => sum + row.estimated[bucket.key], 0);
+        const actualHours = HOUR_BUCKETS.reduce((sum, bucket) => sum + row.actual[bucket.key], 0);
+        return {
+            key: row.key,
+            label: row.label,
+            proposals: row.proposals,
+            estimatedHours: round(estimatedHours),
+            actualHours: round(actualHours),
+            variancePercent: variance(actualHours, estimatedHours),
+            byDiscipline: Object.fromEntries(HOUR_BUCKETS.map(bucket => [bucket.key, {
+                estimated: round(row.estimated[bucket.key]),
+                actual: round(row.actual[bucket.key]),
+                variancePercent: variance(row.actual[bucket.key], row.estimated[bucket.key])
+            }]))
+        };
+    };
+
+    return {
+        disciplines: HOUR_BUCKETS,
+        totals: summarize(all),
+        breakdown: Object.fromEntries(Object.entries(groups).map(([dimension, map]) => [
+            dimension,
+            [...map.values()].map(summarize).sort((a, b) => b.actualHours - a.actualHours || a.label.localeCompare(b.label))
+        ]))
+    };
+}
+
+module.exports = {
+    TIMESHEET_STATUSES,
+    EDITABLE_STATUSES,
+    weekStartOf,
+    isWeekStart,
+    weekDays,
+    timesheetId,
+    validateEntries,
+    analyzeVariance
+};
@@ -0,0 +1,93 @@
+// Soft delete for proposals and files.
+// Deleting only stamps deletedAt/deletedBy; trashed records are hidden from every GET and can be
+// restored by their owner or a Director until the retention window (settings 'trash') runs out.
+// purgeExpiredTrash then removes the bucket objects and documents for good.
+const admin = require('./_firebase-admin');
+
+const db = admin.firestore();
+const bucket = admin.storage().bucket();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isTrashed(record) {
+    return !!record?.deletedAt;
+}
+
+function trashFields(user) {
+    return {
+        deletedAt: admin.firestore.FieldValue.serverTimestamp(),
+        deletedBy: { uid: user.uid, name: user.name, role: user.role }
+    };
+}
+
+function restoreFields() {
+    return {
+        deletedAt: admin.firestore.FieldValue.delete(),
+        deletedBy: admin.firestore.FieldValue.delete(),
+        deletedWithProposal: admin.firestore.FieldValue.delete()
+    };
+}
+
+// Last moment a trashed record can be restored
+function restoreDeadline(deletedAt, retentionDays) {
+    const deletedDate = deletedAt?.toDate ? deletedAt.toDate() : new Date(deletedAt);
+    return new Date(deletedDate.getTime() + retentionDays * DAY_MS);
+}
+
+// Cloned proposals share bucket objects with their source (see _proposal-templates.js), so an object
+// is only deleted along with the last file record pointing at it
+async function deleteStoredObject(fileDoc) {
+    const fileData = fileDoc.data();
+    if (fileData.fileType === 'link' || !fileData.fileName) return;
+    const sharing = await db.collection('files').where('fileName', '==', fileData.fileName).get();
+    if (sharing.docs.some(doc => doc.id !== fileDoc.id)) return;
+    try {
+        await bucket.file(fileData.fileName).delete();
+    } catch (storageError) {
+        // Already gone from the bucket: the Firestore record still has to go
+        if (storageError.code !== 404) throw storageError;
+        console.warn(`File not found in storage during purge: ${fileData.fileName}`);
+    }
+}
+
+// Permanently removes proposals and files trashed more than retentionDays ago.
+// Returns counts of what was removed.
+async function purgeExpiredTrash(retentionDays) {
+    const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - retentionDays * DAY_MS);
+    const purged = { proposals: 0, files: 0 };
+
+    const proposalsSnapshot = await db.collection('proposals').where('deletedAt', '<=', cutoff).get();
+    for (const proposalDoc of proposalsSnapshot.docs) {
+        const filesSnapshot = await db.collection('files').where('proposalId', '==', proposalDoc.id).get();
+        for (const fileDoc of filesSnapshot.docs) {
+            await deleteStoredObject(fileDoc);
+            await fileDoc.ref.delete();
+            purged.files++;
+        }
+        // Removes the proposal with its versions and any other subcollections
+        await db.recursiveDelete(proposalDoc.ref);
+        purged.proposals++;
+    }
+
+    const filesSnapshot = await db.collection('files').where('deletedAt', '<=', cutoff).get();
+    for (const fileDoc of filesSnapshot.docs) {
+        await deleteStoredObject(fileDoc);
+        await fileDoc.ref.delete();
+        purged.files++;
+    }
+
+    if (purged.proposals > 0 || purged.files > 0) {
+        await db.collection('activities').add({
+            type: 'trash_purged',
+            details: `Trash purged: ${purged.proposals} proposal(s) and ${purged.files} file(s) older than ${retentionDays} days permanently deleted`,
+            performedByName: 'System',
+            performedByRole: 'system',
+            performedByUid: null,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+
+    return purged;
+}
+
+module.exports = { isTrashed, trashFields, restoreFields, restoreDeadline, purgeExpiredTrash };
@@ -0,0 +1,200 @@
+// Job outcomes and win/loss analysis.
+// A lost job records one reason from the 'lossReasons' setting plus, optionally, the competitor who won
+// and their price; a won job can record the final negotiated value against what was quoted.
+// Outcomes recorded before reasons were structured only have free text in jobOutcome.reason: it is
+// matched against the reason labels and otherwise counted as 'unspecified'.
+const { CURRENCIES, findRate, pricingDate } = require('./_currency');
+const { ownerUidOf, ownerNameOf } = require('./_ownership');
+
+const DEFAULT_LOSS_REASONS = {
+    reasons: [
+        { key: 'price', label: 'Price' },
+        { key: 'schedule', label: 'Schedule' },
+        { key: 'scope', label: 'Scope' },
+        { key: 'competitor', label: 'Lost to competitor' },
+        { key: 'no_go', label: 'No-go (project cancelled)' }
+    ]
+};
+
+const UNSPECIFIED = { key: 'unspecified', label: 'Not specified' };
+const MAX_REASONS = 30;
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+// Validates the 'lossReasons' setting. Returns { value } or { error }.
+function validateLossReasons(value) {
+    if (!Array.isArray(value.reasons) || value.reasons.length === 0 || value.reasons.length > MAX_REASONS) {
+        return { error: `Provide between 1 and ${MAX_REASONS} loss reasons.` };
+    }
+    const reasons = [];
+    for (const reason of value.reasons) {
+        const label = typeof reason?.label === 'string' ? reason.label.trim() : '';
+        const key = typeof reason?.key === 'string' && reason.key.trim()
+            ? reason.key.trim()
+            : label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        if (!label) return { error: 'Every loss reason needs a label.' };
+        if (!KEY_PATTERN.test(key) || key === UNSPECIFIED.key) {
+            return { error: `Invalid key '${key}' for '${label}': use lowercase letters, digits and underscores.` };
+        }
+        if (reasons.some(r => r.key === key)) return { error: `Duplicate loss reason '${key}'.` };
+        reasons.push({ key, label });
+    }
+    return { value: { reasons } };
+}
+
+function parseAmount(value, field) {
+    if (value === undefined || value === null || value === '') return { amount: null };
+    const amount = parseFloat(value);
+    if (!Number.isFinite(amount) || amount < 0) return { error: `${field} must be a positive number.` };
+    return { amount };
+}
+
+// The jobOutcome for mark_job_lost. Returns { outcome } or { error }.
+function buildLossOutcome(data, lossReasons, proposal) {
+    const reason = lossReasons.reasons.find(r => r.key === data.reasonKey);
+    if (!reason) {
+        return { error: `Loss reason must be one of: ${lossReasons.reasons.map(r => r.key).join(', ')}` };
+    }
+    const notes = typeof data.notes === 'string' ? data.notes.trim() : '';
+
+    let competitor = null;
+    const competitorName = typeof data.competitorName === 'string' ? data.competitorName.trim() : '';
+    const { amount: competitorPrice, error } = parseAmount(data.competitorPrice, 'Competitor price');
+    if (error) return { error };
+    if (competitorPrice !== null && !competitorName) return { error: 'Name the competitor whose price you entered.' };
+    if (competitorName) {
+        const currency = data.competitorCurrency || proposal.pricing?.currency || 'USD';
+        if (!CURRENCIES.includes(currency)) return { error: `Competitor currency must be one of: ${CURRENCIES.join(', ')}` };
+        competitor = { name: competitorName, price: competitorPrice, currency };
+    }
+
+    return {
+        outcome: {
+            result: 'lost',
+            reasonKey: reason.key,
+            // Readable text kept for exports and older views
+            reason: notes ? `${reason.label}: ${notes}` : reason.label,
+            notes,
+            competitor
+        }
+    };
+}
+
+// The jobOutcome for mark_job_won. The final value defaults to the quote. Returns { outcome } or { error }.
+function buildWonOutcome(data, proposal) {
+    const quotedValue = parseFloat(proposal.pricing?.quoteValue) || null;
+    const currency = proposal.pricing?.currency || 'USD';
+    const { amount, error } = parseAmount(data.finalValue, 'Final value');
+    if (error) return { error };
+    const finalValue = amount ?? quotedValue;
+    return {
+        outcome: {
+            result: 'won',
+            finalValue,
+            quotedValue,
+            currency,
+            // Negative when the price was negotiated down from the quote
+            variancePercent: finalValue !== null && quotedValue ? Math.round(((finalValue - quotedValue) / quotedValue) * 1000) / 10 : null,
+            notes: typeof data.notes === 'string' ? data.notes.trim() : ''
+        }
+    };
+}
+
+// The structured reason of a lost outcome, matching legacy free text to a label where possible
+function lossReasonOf(outcome, lossReasons) {
+    const byKey = lossReasons.reasons.find(r => r.key === outcome?.reasonKey);
+    if (byKey) return byKey;
+    const text = String(outcome?.reason || '').trim().toLowerCase();
+    return lossReasons.reasons.find(r => text === r.key || text === r.label.toLowerCase() || text.startsWith(`${r.label.toLowerCase()}:`)) ||
+        UNSPECIFIED;
+}
+
+// Each dimension maps a proposal to its { key, label } group, or null when it does not apply.
+// Reasons only describe losses; competitors only appear on the losses they won.
+const DIMENSIONS = {
+    reason: (p, lossReasons) => (p.status === 'lost' ? lossReasonOf(p.jobOutcome, lossReasons) : null),
+    competitor: p => (p.jobOutcome?.competitor?.name ? { key: p.jobOutcome.competitor.name.toLowerCase(), label: p.jobOutcome.competitor.name } : null),
+    client: p => ({ key: p.clientId || p.clientCompany || 'unknown', label: p.clientCompany || 'Unknown' }),
+    country: p => ({ key: p.country || 'Not Specified', label: p.country || 'Not Specified' }),
+    projectType: p => ({ key: p.projectType || 'Unknown', label: p.projectType || 'Unknown' }),
+    bdm: p => ({ key: ownerUidOf(p) || 'unknown', label: ownerNameOf(p) || 'Unknown' })
+};
+
+// Win/loss breakdown of won and lost proposals by reason, competitor, client, country, project type and BDM.
+// Money is converted into reportingCurrency at each proposal's pricing-date rate; proposals that cannot be
+// converted still count towards won/lost but not towards values.
+function analyzeOutcomes(proposals, { lossReasons, rates, reportingCurrency }) {
+    const convert = (amount, currency, proposal) => {
+        if (amount === null || amount === undefined) return null;
+        const rate = findRate(rates, currency || 'USD', reportingCurrency, pricingDate(proposal));
+        return rate === null ? null : amount * rate;
+    };
+    const round = n => Math.round(n * 100) / 100;
+
+    const decided = proposals.filter(p => p.status === 'won' || p.status === 'lost');
+    const groups = Object.fromEntries(Object.keys(DIMENSIONS).map(d => [d, new Map()]));
+
+    for (const p of decided) {
+        const won = p.status === 'won';
+        const quoted = convert(parseFloat(p.pricing?.quoteValue) || null, p.pricing?.currency, p);
+        const final = won ? convert(p.jobOutcome?.finalValue ?? (parseFloat(p.pricing?.quoteValue) || null), p.jobOutcome?.currency || p.pricing?.currency, p) : null;
+        const competitorPrice = !won && p.jobOutcome?.competitor?.price !== null && p.jobOutcome?.competitor?.price !== undefined
+            ? convert(p.jobOutcome.competitor.price, p.jobOutcome.competitor.currency, p)
+            : null;
+
+        for (const [dimension, groupOf] of Object.entries(DIMENSIONS)) {
+            const group = groupOf(p, lossReasons);
+            if (!group) continue;
+            const map = groups[dimension];
+            if (!map.has(group.key)) {
+                map.set(group.key, { key: group.key, label: group.label, won: 0, lost: 0, quotedWon: 0, finalWon: 0, quotedLost: 0, priceGaps: [] });
+            }
+            const row = map.get(group.key);
+            if (won) {
+                row.won++;
+                if (quoted !== null && final !== null) {
+                    row.quotedWon += quoted;
+                    row.finalWon += final;
+                }
+            } else {
+                row.lost++;
+                if (quoted !== null) row.quotedLost += quoted;
+                if (quoted && competitorPrice !== null) row.priceGaps.push((competitorPrice - quoted) / quoted);
+            }
+        }
+    }
+
+    const summarize = row => ({
+        key: row.key,
+        label: row.label,
+        won: row.won,
+        lost: row.lost,
+        total: row.won + row.lost,
+        winRate: Math.round((row.won / (row.won + row.lost)) * 1000) / 10,
+        wonValue: round(row.finalWon),
+        lostValue: round(row.quotedLost),
+        // How far final prices moved from quotes on won jobs, and how far competitors undercut us on lost ones
+        avgNegotiationPercent: row.quotedWon ? Math.round(((row.finalWon - row.quotedWon) / row.quotedWon) * 1000) / 10 : null,
+        avgCompetitorGapPercent: row.priceGaps.length
+            ? Math.round((row.priceGaps.reduce((sum, gap) => sum + gap, 0) / row.priceGaps.length) * 1000) / 10
+            : null
+    });
+
+    const won = decided.filter(p => p.status === 'won').length;
+    return {
+        reportingCurrency,
+        totals: { won, lost: decided.length - won, winRate: decided.length ? Math.round((won / decided.length) * 1000) / 10 : 0 },
+        breakdown: Object.fromEntries(Object.entries(groups).map(([dimension, map]) => [
+            dimension,
+            [...map.values()].map(summarize).sort((a, b) => b.total - a.total || a.label.localeCompare(b.label))
+        ]))
+    };
+}
+
+module.exports = {
+    DEFAULT_LOSS_REASONS,
+    validateLossReasons,
+    buildLossOutcome,
+    buildWonOutcome,
+    lossReasonOf,
+    analyzeOutcomes
+};
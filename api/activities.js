@@ -1,5 +1,7 @@
 const admin = require('./_firebase-admin');
 const { verifyToken } = require('../middleware/auth');
+const { getOwnedProposalDocs } = require('./_ownership');
+const { authorize, scopedToOwner, proposalContext } = require('./_policy');
 const util = require('util');
 
 const db = admin.firestore();
@@ -21,30 +23,20 @@ const handler = async (req, res) => {
         try {
             await util.promisify(verifyToken)(req, res);
             const { limit = 20, proposalId } = req.query;
-            const userRole = req.user.role;
             const userUid = req.user.uid;
             
             let query = db.collection('activities').orderBy('timestamp', 'desc');
 
             if (proposalId) {
-                // Check if BDM can access this proposal's activities
-                if (userRole === 'bdm') {
-                    const proposalDoc = await db.collection('proposals').doc(proposalId).get();
-                    if (!proposalDoc.exists || proposalDoc.data().createdByUid !== userUid) {
-                        return res.status(403).json({ 
-                            success: false, 
-                            error: 'Access denied. You can only view activities for your own proposals.' 
-                        });
-                    }
-                }
+                // BDMs only see the activities of their own proposals
+                const proposalDoc = await db.collection('proposals').doc(proposalId).get();
+                const denied = authorize(req.user, 'activity', 'view', proposalContext(proposalDoc.exists ? proposalDoc.data() : null));
+                if (denied) return res.status(denied.status).json(denied.body);
                 query = query.where('proposalId', '==', proposalId);
-            } else if (userRole === 'bdm') {
+            } else if (scopedToOwner(req.user, 'activity', 'view')) {
                 // For BDMs viewing all activities, filter to only their proposals
                 // First get all their proposal IDs
-                const proposalsSnapshot = await db.collection('proposals')
-                    .where('createdByUid', '==', userUid)
-                    .get();
-                const proposalIds = proposalsSnapshot.docs.map(doc => doc.id);
+                const proposalIds = (await getOwnedProposalDocs(db, userUid)).map(doc => doc.id);
                 
                 if (proposalIds.length === 0) {
                     return res.status(200).json({ success: true, data: [] });
@@ -0,0 +1,346 @@
+const admin = require('./_firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { isSameClient, normalizeClientName, suggestClients, validateClient, mergeContacts } = require('./_clients');
+const { writeVersionedUpdate } = require('./_proposal-versions');
+const { sumQuoteValues } = require('./_currency');
+const { getSetting } = require('./_settings');
+const { isTrashed } = require('./_trash');
+const { ownerNameOf, getOwnedProposalDocs } = require('./_ownership');
+const { authorize, scopedToOwner } = require('./_policy');
+const util = require('util');
+
+const db = admin.firestore();
+
+const allowCors = fn => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST,PUT,DELETE');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+async function listActiveClients() {
+    const snapshot = await db.collection('clients').orderBy('name').get();
+    return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(client => !client.mergedInto);
+}
+
+// Points a proposal at `client` ({ id, name }) if `belongs` still holds for the stored document. Runs in
+// its own transaction and is recorded like any other proposal change: a new version, its snapshot and a
+// change log entry, so an edit made against the previous version gets a version conflict.
+async function linkProposalToClient(proposalRef, belongs, client, { action, details }, user) {
+    return db.runTransaction(async (transaction) => {
+        const proposalDoc = await transaction.get(proposalRef);
+        if (!proposalDoc.exists || !belongs(proposalDoc.data())) return false;
+        const proposal = proposalDoc.data();
+        if (proposal.clientId === client.id && proposal.clientCompany === client.name) return false;
+
+        const baseVersionDoc = await transaction.get(proposalRef.collection('versions').doc(String(proposal.version || 1)));
+        writeVersionedUpdate(transaction, proposalRef, proposal, baseVersionDoc, {
+            clientId: client.id,
+            clientCompany: client.name,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }, { action, details, user, savedAt: admin.firestore.Timestamp.now() });
+        return true;
+    });
+}
+
+// Moves every proposal of a client to `target`, including proposals from before clients existed
+// (no clientId) filed under the client's name or one of its aliases. Returns how many changed.
+async function moveClientProposals(clientId, client, target, change, user) {
+    const names = [client.name, ...(client.aliases || [])];
+    const snapshots = await Promise.all([
+        db.collection('proposals').where('clientId', '==', clientId).get(),
+        ...names.map(name => db.collection('proposals').where('clientCompany', '==', name).get())
+    ]);
+    const refs = new Map(snapshots.flatMap(snapshot => snapshot.docs.map(doc => [doc.id, doc.ref])));
+    const belongs = proposal => proposal.clientId === clientId || (!proposal.clientId && names.includes(proposal.clientCompany));
+
+    let moved = 0;
+    for (const ref of refs.values()) {
+        if (await linkProposalToClient(ref, belongs, target, change, user)) moved++;
+    }
+    return moved;
+}
+
+// Links every proposal without a clientId to the client its clientCompany names, creating clients for
+// names no client matches. Names that cannot make a client (punctuation or a legal suffix only) are
+// left as they are and reported.
+async function linkLegacyProposals(user) {
+    const [proposalsSnapshot, clients] = await Promise.all([db.collection('proposals').get(), listActiveClients()]);
+    const legacy = proposalsSnapshot.docs.filter(doc => !doc.data().clientId && (doc.data().clientCompany || '').trim());
+
+    const result = { linked: 0, clientsCreated: [], skipped: [] };
+    for (const doc of legacy) {
+        const name = doc.data().clientCompany.trim();
+        let client = clients.find(c => isSameClient(c, name));
+        if (!client) {
+            const validated = validateClient({ name });
+            if (validated.error) {
+                if (!result.skipped.includes(name)) result.skipped.push(name);
+                continue;
+            }
+            const newClient = {
+                ...validated.client,
+                aliases: [],
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                createdByUid: user.uid,
+                createdByName: user.name
+            };
+            const clientRef = await db.collection('clients').add(newClient);
+            client = { id: clientRef.id, ...newClient };
+            clients.push(client);
+            result.clientsCreated.push(client.name);
+        }
+        const linked = await linkProposalToClient(doc.ref, proposal => !proposal.clientId && normalizeClientName(proposal.clientCompany) === normalizeClientName(name), client, {
+            action: 'client_linked',
+            details: `Linked to client "${client.name}" by ${user.name}`
+        }, user);
+        if (linked) result.linked++;
+    }
+    return result;
+}
+
+async function logActivity(user, type, details) {
+    await db.collection('activities').add({
+        type,
+        details,
+        performedByName: user.name,
+        performedByRole: user.role,
+        performedByUid: user.uid,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+const handler = async (req, res) => {
+    try {
+        await util.promisify(verifyToken)(req, res);
+
+        // Parse JSON body for POST/PUT requests
+        if ((req.method === 'POST' || req.method === 'PUT') && req.headers['content-type'] === 'application/json') {
+            await new Promise((resolve) => {
+                const chunks = [];
+                req.on('data', (chunk) => chunks.push(chunk));
+                req.on('end', () => {
+                    try {
+                        const bodyBuffer = Buffer.concat(chunks);
+                        req.body = bodyBuffer.length > 0 ? JSON.parse(bodyBuffer.toString()) : {};
+                    } catch (e) {
+                        console.error("Error parsing JSON body:", e);
+                        req.body = {};
+                    }
+                    resolve();
+                });
+            });
+        }
+
+        if (req.method === 'GET') {
+            const { id, q } = req.query;
+
+            // Client with its proposal history, win rate and booked value
+            if (id) {
+                const doc = await db.collection('clients').doc(id).get();
+                if (!doc.exists) return res.status(404).json({ success: false, error: 'Client not found' });
+                const client = { id: doc.id, ...doc.data() };
+                if (client.mergedInto) {
+                    return res.status(404).json({ success: false, error: 'Client was merged into another client', mergedInto: client.mergedInto });
+                }
+
+                // BDM isolation: BDMs see only the proposals they own in a client's history
+                const proposalDocs = scopedToOwner(req.user, 'proposal', 'view')
+                    ? getOwnedProposalDocs(db, req.user.uid, query => query.where('clientId', '==', id))
+                    : db.collection('proposals').where('clientId', '==', id).get().then(snapshot => snapshot.docs);
+                const [docs, { reportingCurrency }, ratesSnapshot] = await Promise.all([
+                    proposalDocs,
+                    getSetting('reporting'),
+                    db.collection('exchangeRates').get()
+                ]);
+                const proposals = docs
+                    .map(p => ({ id: p.id, ...p.data() }))
+                    .filter(p => !isTrashed(p))
+                    .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+
+                const won = proposals.filter(p => p.status === 'won');
+                const lost = proposals.filter(p => p.status === 'lost');
+                const booked = sumQuoteValues(won, ratesSnapshot.docs.map(r => r.data()), reportingCurrency);
+
+                client.history = {
+                    proposals: proposals.map(p => ({
+                        id: p.id,
+                        projectName: p.projectName,
+                        status: p.status,
+                        quoteNumber: p.quoteNumber || null,
+                        quoteValue: p.pricing?.quoteValue ?? null,
+                        currency: p.pricing?.currency || null,
+                        createdAt: p.createdAt,
+                        createdByName: p.createdByName,
+                        ownerName: ownerNameOf(p)
+                    })),
+                    totalProposals: proposals.length,
+                    won: won.length,
+                    lost: lost.length,
+                    // Win rate over decided proposals (won or lost)
+                    winRate: won.length + lost.length > 0 ? Math.round(won.length / (won.length + lost.length) * 100) : null,
+                    bookedValue: booked.total,
+                    bookedByCurrency: booked.byCurrency,
+                    reportingCurrency,
+                    unconverted: booked.unconverted
+                };
+                return res.status(200).json({ success: true, data: client });
+            }
+
+            const clients = await listActiveClients();
+
+            // Fuzzy suggestions while typing a client name
+            if (q) {
+                const suggestions = suggestClients(q, clients)
+                    .map(({ client, score }) => ({ id: client.id, name: client.name, billingCountry: client.billingCountry, score }));
+                return res.status(200).json({ success: true, data: suggestions });
+            }
+
+            return res.status(200).json({ success: true, data: clients });
+        }
+
+        const denied = authorize(req.user, 'client', 'edit');
+        if (denied) return res.status(denied.status).json(denied.body);
+
+        if (req.method === 'POST' && req.query.action === 'merge') {
+            const mergeDenied = authorize(req.user, 'client', 'merge');
+            if (mergeDenied) return res.status(mergeDenied.status).json(mergeDenied.body);
+            const { sourceId, targetId } = req.body;
+            if (!sourceId || !targetId || sourceId === targetId) {
+                return res.status(400).json({ success: false, error: 'Provide two different clients: sourceId (duplicate) and targetId (kept).' });
+            }
+
+            const [sourceDoc, targetDoc] = await Promise.all([
+                db.collection('clients').doc(sourceId).get(),
+                db.collection('clients').doc(targetId).get()
+            ]);
+            if (!sourceDoc.exists || !targetDoc.exists || sourceDoc.data().mergedInto || targetDoc.data().mergedInto) {
+                return res.status(404).json({ success: false, error: 'Both clients must exist and not already be merged.' });
+            }
+            const source = sourceDoc.data();
+            const target = targetDoc.data();
+
+            const moved = await moveClientProposals(sourceId, source, { id: targetId, name: target.name }, {
+                action: 'client_merged',
+                details: `Client "${source.name}" merged into "${target.name}" by ${req.user.name}`
+            }, req.user);
+
+            await targetDoc.ref.update({
+                contacts: mergeContacts(target.contacts, source.contacts),
+                notes: [target.notes, source.notes].filter(Boolean).join('\n'),
+                aliases: [...new Set([...(target.aliases || []), ...(source.aliases || []), source.name])],
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            // The duplicate is kept as a pointer so old links and audit entries still resolve
+            await sourceDoc.ref.update({
+                mergedInto: targetId,
+                mergedAt: admin.firestore.FieldValue.serverTimestamp(),
+                mergedByName: req.user.name
+            });
+            await logActivity(req.user, 'clients_merged', `Client "${source.name}" merged into "${target.name}" (${moved} proposal(s) moved)`);
+
+            return res.status(200).json({ success: true, message: `Merged "${source.name}" into "${target.name}"`, proposalsMoved: moved });
+        }
+
+        // Proposals from before the clients collection get their clientId
+        if (req.method === 'POST' && req.query.action === 'link_legacy') {
+            const linkDenied = authorize(req.user, 'client', 'link_legacy');
+            if (linkDenied) return res.status(linkDenied.status).json(linkDenied.body);
+
+            const result = await linkLegacyProposals(req.user);
+            await logActivity(req.user, 'clients_linked', `${result.linked} legacy proposal(s) linked to clients (${result.clientsCreated.length} client(s) created)`);
+            return res.status(200).json({ success: true, data: result });
+        }
+
+        if (req.method === 'POST') {
+            const { client, error } = validateClient(req.body);
+            if (error) return res.status(400).json({ success: false, error });
+
+            // Near-duplicates must be confirmed: the caller resends with force: true
+            const suggestions = suggestClients(client.name, await listActiveClients())
+                .filter(match => match.score >= 0.85);
+            if (suggestions.length > 0 && !req.body.force) {
+                return res.status(409).json({
+                    success: false,
+                    code: 'possible_duplicate',
+                    error: `A similar client already exists: ${suggestions.map(s => s.client.name).join(', ')}`,
+                    suggestions: suggestions.map(({ client: c, score }) => ({ id: c.id, name: c.name, score }))
+                });
+            }
+
+            const newClient = {
+                ...client,
+                aliases: [],
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                createdByUid: req.user.uid,
+                createdByName: req.user.name
+            };
+            const docRef = await db.collection('clients').add(newClient);
+            await logActivity(req.user, 'client_created', `Client created: ${client.name}`);
+
+            return res.status(201).json({ success: true, data: { id: docRef.id, ...newClient } });
+        }
+
+        if (req.method === 'PUT') {
+            const { id } = req.query;
+            if (!id) return res.status(400).json({ success: false, error: 'Missing client ID' });
+
+            const { client, error } = validateClient(req.body);
+            if (error) return res.status(400).json({ success: false, error });
+
+            const clientRef = db.collection('clients').doc(id);
+            const doc = await clientRef.get();
+            if (!doc.exists || doc.data().mergedInto) return res.status(404).json({ success: false, error: 'Client not found' });
+
+            await clientRef.update({
+                ...client,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedByName: req.user.name
+            });
+            // Proposals carry the client name for display and search; keep it in step
+            if (client.name !== doc.data().name) {
+                await moveClientProposals(id, doc.data(), { id, name: client.name }, {
+                    action: 'client_renamed',
+                    details: `Client renamed from "${doc.data().name}" to "${client.name}" by ${req.user.name}`
+                }, req.user);
+            }
+            await logActivity(req.user, 'client_updated', `Client updated: ${client.name}`);
+
+            return res.status(200).json({ success: true, message: 'Client updated successfully' });
+        }
+
+        if (req.method === 'DELETE') {
+            const deleteDenied = authorize(req.user, 'client', 'delete');
+            if (deleteDenied) return res.status(deleteDenied.status).json(deleteDenied.body);
+            const { id } = req.query;
+            if (!id) return res.status(400).json({ success: false, error: 'Missing client ID' });
+
+            const clientRef = db.collection('clients').doc(id);
+            const doc = await clientRef.get();
+            if (!doc.exists) return res.status(404).json({ success: false, error: 'Client not found' });
+
+            const proposalsSnapshot = await db.collection('proposals').where('clientId', '==', id).limit(1).get();
+            if (!proposalsSnapshot.empty) {
+                return res.status(409).json({ success: false, error: 'This client has proposals. Merge it into another client instead of deleting it.' });
+            }
+
+            await clientRef.delete();
+            await logActivity(req.user, 'client_deleted', `Client deleted: ${doc.data().name}`);
+            return res.status(200).json({ success: true, message: 'Client deleted' });
+        }
+
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    } catch (error) {
+        console.error('Clients API error:', error);
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = allowCors(handler);
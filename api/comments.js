@@ -0,0 +1,191 @@
+const admin = require('./_firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { validateCommentBody, findMentions, buildThreads } = require('./_comments');
+const { isTrashed } = require('./_trash');
+const { authorize, can, proposalContext } = require('./_policy');
+const util = require('util');
+
+const db = admin.firestore();
+
+const allowCors = fn => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST,PUT,DELETE');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+// Everyone who can see the proposal: all non-BDM users plus the BDM who owns it
+async function mentionableUsers(proposal) {
+    const snapshot = await db.collection('users').get();
+    return snapshot.docs
+        .map(doc => ({ uid: doc.id, name: doc.data().name, role: doc.data().role }))
+        .filter(user => can(user, 'comment', 'view', proposalContext(proposal)));
+}
+
+function mentionNotifications(mentions, proposalId, proposal, author) {
+    return mentions
+        .filter(user => user.uid !== author.uid)
+        .map(user => ({
+            type: 'comment_mention',
+            recipientRole: user.role,
+            recipientUid: user.uid,
+            proposalId,
+            message: `${author.name} mentioned you on ${proposal.projectName}`,
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            isRead: false
+        }));
+}
+
+const handler = async (req, res) => {
+    try {
+        await util.promisify(verifyToken)(req, res);
+
+        // Parse JSON body for POST/PUT requests
+        if ((req.method === 'POST' || req.method === 'PUT') && req.headers['content-type'] === 'application/json') {
+            await new Promise((resolve) => {
+                const chunks = [];
+                req.on('data', (chunk) => chunks.push(chunk));
+                req.on('end', () => {
+                    try {
+                        const bodyBuffer = Buffer.concat(chunks);
+                        req.body = bodyBuffer.length > 0 ? JSON.parse(bodyBuffer.toString()) : {};
+                    } catch (e) {
+                        console.error("Error parsing JSON body:", e);
+                        req.body = {};
+                    }
+                    resolve();
+                });
+            });
+        }
+
+        const { proposalId, id } = req.query;
+        if (!proposalId) return res.status(400).json({ success: false, error: 'Missing proposal ID' });
+
+        const proposalRef = db.collection('proposals').doc(proposalId);
+        const proposalDoc = await proposalRef.get();
+        if (!proposalDoc.exists || isTrashed(proposalDoc.data())) {
+            return res.status(404).json({ success: false, error: 'Proposal not found' });
+        }
+        const proposal = proposalDoc.data();
+
+        // Comments are part of the proposal: whoever sees it may read and add to the thread
+        const denied = authorize(req.user, 'comment', req.method === 'POST' ? 'add' : 'view', proposalContext(proposal));
+        if (denied) return res.status(denied.status).json(denied.body);
+
+        const commentsRef = proposalRef.collection('comments');
+
+        if (req.method === 'GET') {
+            const [snapshot, users] = await Promise.all([commentsRef.get(), mentionableUsers(proposal)]);
+            const comments = snapshot.docs.map(doc => {
+                const comment = { id: doc.id, ...doc.data() };
+                // Deleted comments keep their place in the thread but lose their text
+                if (comment.deletedAt) comment.body = '';
+                return comment;
+            });
+            return res.status(200).json({
+                success: true,
+                data: buildThreads(comments),
+                total: comments.filter(c => !c.deletedAt).length,
+                mentionable: users.map(({ uid, name, role }) => ({ uid, name, role }))
+            });
+        }
+
+        if (req.method === 'POST') {
+            const { body, error } = validateCommentBody(req.body?.body);
+            if (error) return res.status(400).json({ success: false, error });
+
+            const parentId = req.body.parentId || null;
+            if (parentId) {
+                const parentDoc = await commentsRef.doc(parentId).get();
+                if (!parentDoc.exists) return res.status(400).json({ success: false, error: 'The comment you are replying to no longer exists.' });
+                if (parentDoc.data().deletedAt) return res.status(409).json({ success: false, error: 'The comment you are replying to has been deleted.' });
+            }
+
+            const mentions = findMentions(body, await mentionableUsers(proposal));
+            const comment = {
+                body,
+                parentId,
+                mentions,
+                authorUid: req.user.uid,
+                authorName: req.user.name,
+                authorRole: req.user.role,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                editedAt: null,
+                deletedAt: null
+            };
+
+            const commentRef = commentsRef.doc();
+            const batch = db.batch();
+            batch.set(commentRef, comment);
+            mentionNotifications(mentions, proposalId, proposal, req.user)
+                .forEach(notification => batch.set(db.collection('notifications').doc(), notification));
+            batch.set(db.collection('activities').doc(), {
+                type: 'comment_added',
+                details: `${parentId ? 'Reply' : 'Comment'} added${mentions.length ? ` mentioning ${mentions.map(m => m.name).join(', ')}` : ''}`,
+                performedByName: req.user.name,
+                performedByRole: req.user.role,
+                performedByUid: req.user.uid,
+                timestamp: admin.firestore.FieldValue.serverTimestamp(),
+                proposalId,
+                projectName: proposal.projectName,
+                clientCompany: proposal.clientCompany
+            });
+            await batch.commit();
+
+            return res.status(201).json({ success: true, data: { id: commentRef.id, ...comment } });
+        }
+
+        if (req.method === 'PUT' || req.method === 'DELETE') {
+            if (!id) return res.status(400).json({ success: false, error: 'Missing comment ID' });
+
+            const commentRef = commentsRef.doc(id);
+            const commentDoc = await commentRef.get();
+            if (!commentDoc.exists || commentDoc.data().deletedAt) {
+                return res.status(404).json({ success: false, error: 'Comment not found' });
+            }
+            const existing = commentDoc.data();
+            const editDenied = authorize(req.user, 'comment', 'edit', { ownerUid: existing.authorUid });
+            if (editDenied) return res.status(editDenied.status).json(editDenied.body);
+
+            if (req.method === 'PUT') {
+                const { body, error } = validateCommentBody(req.body?.body);
+                if (error) return res.status(400).json({ success: false, error });
+
+                const mentions = findMentions(body, await mentionableUsers(proposal));
+                // Only people newly mentioned by the edit are notified
+                const previouslyMentioned = new Set((existing.mentions || []).map(m => m.uid));
+                const batch = db.batch();
+                batch.update(commentRef, {
+                    body,
+                    mentions,
+                    editedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                mentionNotifications(mentions.filter(m => !previouslyMentioned.has(m.uid)), proposalId, proposal, req.user)
+                    .forEach(notification => batch.set(db.collection('notifications').doc(), notification));
+                await batch.commit();
+
+                return res.status(200).json({ success: true, message: 'Comment updated' });
+            }
+
+            // Soft delete so replies keep their thread
+            await commentRef.update({
+                body: '',
+                mentions: [],
+                deletedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return res.status(200).json({ success: true, message: 'Comment deleted' });
+        }
+
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    } catch (error) {
+        console.error('Comments API error:', error);
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = allowCors(handler);
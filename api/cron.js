@@ -0,0 +1,40 @@
+const { purgeExpiredTrash } = require('./_trash');
+const { getSetting } = require('./_settings');
+const { escalateOverdueProposals } = require('./_sla');
+const { sendFollowUpReminders } = require('./_follow-ups');
+
+// Scheduled jobs, invoked by Vercel Cron (see vercel.json) as GET /api/cron?job=<name>.
+// Vercel sends "Authorization: Bearer $CRON_SECRET"; requests without it are rejected. To run a job
+// locally, send the same header: curl -H "Authorization: Bearer $CRON_SECRET" localhost:3000/api/cron?job=sla-escalations
+const JOBS = {
+    'purge-trash': async () => {
+        const { retentionDays } = await getSetting('trash');
+        return purgeExpiredTrash(retentionDays);
+    },
+    'sla-escalations': async () => escalateOverdueProposals(await getSetting('sla'), await getSetting('approvals')),
+    'follow-up-reminders': async () => sendFollowUpReminders(await getSetting('followUps'))
+};
+
+const handler = async (req, res) => {
+    if (req.method !== 'GET') {
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+    if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const job = JOBS[req.query.job];
+    if (!job) {
+        return res.status(400).json({ success: false, error: `Unknown job '${req.query.job}'. Available: ${Object.keys(JOBS).join(', ')}` });
+    }
+
+    try {
+        const result = await job();
+        return res.status(200).json({ success: true, job: req.query.job, data: result });
+    } catch (error) {
+        console.error(`Cron job '${req.query.job}' failed:`, error);
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = handler;
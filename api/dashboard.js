@@ -1,5 +1,13 @@
 const admin = require('./_firebase-admin');
 const { verifyToken } = require('../middleware/auth');
+const { sumQuoteValues, formatMoney } = require('./_currency');
+const { getSetting } = require('./_settings');
+const { isTrashed } = require('./_trash');
+const { ownerUidOf, getOwnedProposalDocs } = require('./_ownership');
+const { scopedToOwner } = require('./_policy');
+const { slaStatus } = require('./_sla');
+const { followUpStatus } = require('./_follow-ups');
+const { approvalRequirement, approvalProgress, approvalBlocker } = require('./_approvals');
 const util = require('util');
 
 const db = admin.firestore();
@@ -23,14 +31,13 @@ const handler = async (req, res) => {
             const userRole = req.user.role;
             const userUid = req.user.uid;
 
-            // For BDMs, filter proposals to only their own
-            let proposalsQuery = db.collection('proposals');
-            if (userRole === 'bdm') {
-                proposalsQuery = proposalsQuery.where('createdByUid', '==', userUid);
-            }
-            
-            const proposalsSnapshot = await proposalsQuery.get();
-            const proposals = proposalsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            // For BDMs, filter proposals to only the ones they own
+            const proposalDocs = scopedToOwner(req.user, 'proposal', 'view')
+                ? await getOwnedProposalDocs(db, userUid)
+                : (await db.collection('proposals').get()).docs;
+            const proposals = proposalDocs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .filter(p => !isTrashed(p));
 
             // Calculate statistics
             const wonProposals = proposals.filter(p => p.status === 'won');
@@ -38,64 +45,116 @@ const handler = async (req, res) => {
             const submittedProposals = proposals.filter(p => p.status === 'submitted_to_client');
             const allWonProposals = proposals.filter(p => p.status === 'submitted_to_client' || p.status === 'won');
             
-            const totalWonValue = allWonProposals.reduce((sum, p) => sum + (parseFloat(p.pricing?.quoteValue) || 0), 0);
+            // Quotes are priced in different currencies; money totals are converted into the
+            // reporting currency at the rate in effect on each proposal's pricing date
+            const [{ reportingCurrency }, ratesSnapshot, slaSettings, approvalPolicy, followUpSettings] = await Promise.all([
+                getSetting('reporting'),
+                db.collection('exchangeRates').get(),
+                getSetting('sla'),
+                getSetting('approvals'),
+                getSetting('followUps')
+            ]);
+            const exchangeRates = ratesSnapshot.docs.map(doc => doc.data());
+
+            const bookedSummary = sumQuoteValues(allWonProposals, exchangeRates, reportingCurrency);
+            const pipelineSummary = sumQuoteValues(
+                proposals.filter(p => !['submitted_to_client', 'won', 'rejected', 'lost'].includes(p.status)),
+                exchangeRates,
+                reportingCurrency
+            );
+            const currency = { reportingCurrency, booked: bookedSummary, pipeline: pipelineSummary };
+
+            const totalWonValue = bookedSummary.total;
             const totalProposalsCount = proposals.length;
             const winRate = totalProposalsCount > 0 ? ((wonProposals.length / totalProposalsCount) * 100).toFixed(0) : 0;
             const avgMargin = allWonProposals.length > 0 ? (allWonProposals.reduce((sum, p) => sum + (parseFloat(p.pricing?.profitMargin) || 0), 0) / allWonProposals.length).toFixed(0) : 0;
-            const pipelineValue = proposals.filter(p => !['submitted_to_client', 'won', 'rejected', 'lost'].includes(p.status))
-                                         .reduce((sum, p) => sum + (parseFloat(p.pricing?.quoteValue) || 0), 0);
+            const pipelineValue = pipelineSummary.total;
 
             // Get action items based on role
             let actionItemsQuery;
+            let actionDocs = [];
             switch(userRole) {
                 case 'estimator':
-                    // Estimators see all proposals needing estimation
+                    // Estimators see proposals needing estimation that are theirs or still unclaimed
                     actionItemsQuery = db.collection('proposals')
                         .where('status', 'in', ['pending_estimation', 'revision_required']);
                     break;
                 case 'coo':
-                    // COOs see all proposals needing pricing
-                    actionItemsQuery = db.collection('proposals').where('status', '==', 'pending_pricing');
+                    // COOs see all proposals needing pricing, plus approvals the policy lets them give
+                    actionItemsQuery = db.collection('proposals').where('status', 'in', ['pending_pricing', 'pending_director_approval']);
                     break;
                 case 'director':
-                    // Directors see all proposals needing approval
+                    // Directors see proposals awaiting their approval
                     actionItemsQuery = db.collection('proposals').where('status', '==', 'pending_director_approval');
                     break;
                 case 'bdm':
-                    // BDMs only see their own approved proposals or revision required
-                    actionItemsQuery = db.collection('proposals')
-                        .where('createdByUid', '==', userUid)
-                        .where('status', 'in', ['approved', 'revision_required']);
+                    // BDMs see approved or revision-required proposals they own, and submissions due a follow-up
+                    actionDocs = (await getOwnedProposalDocs(db, userUid, query => query.where('status', 'in', ['approved', 'revision_required', 'submitted_to_client'])))
+                        .sort((a, b) => (b.data().createdAt?.toMillis?.() || 0) - (a.data().createdAt?.toMillis?.() || 0));
                     break;
                 default:
                     actionItemsQuery = null;
             }
             
-            let actionItems = [];
             if (actionItemsQuery) {
-                const actionSnapshot = await actionItemsQuery.orderBy('createdAt', 'desc').get();
-                actionItems = actionSnapshot.docs.map(doc => {
+                actionDocs = (await actionItemsQuery.orderBy('createdAt', 'desc').get()).docs;
+            }
+            // Approval items only count when the caller's own sign-off is still needed
+            const approvalOf = data => approvalRequirement(data, approvalPolicy, exchangeRates);
+            const actionItems = actionDocs
+                .filter(doc => !isTrashed(doc.data()))
+                .filter(doc => doc.data().status !== 'pending_director_approval' || !approvalBlocker(doc.data(), approvalOf(doc.data()), req.user))
+                .filter(doc => userRole !== 'estimator' || !doc.data().assignedEstimatorUid || doc.data().assignedEstimatorUid === userUid)
+                .filter(doc => {
+                    const followUp = followUpStatus(doc.data(), followUpSettings);
+                    return !followUp || followUp.due || followUp.stale;
+                })
+                .map(doc => {
                     const data = doc.data();
                     const typeMap = {
                         'pending_estimation': 'estimation_required',
                         'pending_pricing': 'pricing_required',
                         'pending_director_approval': 'approval_required',
                         'approved': 'ready_for_client',
-                        'revision_required': 'needs_revision'
+                        'revision_required': 'needs_revision',
+                        'submitted_to_client': 'follow_up_due'
                     };
+                    const { dueAt, overdue, hoursOverdue } = slaStatus(data, slaSettings);
+                    let approval = null;
+                    if (data.status === 'pending_director_approval') {
+                        const requirement = approvalOf(data);
+                        const { received, required } = approvalProgress(data, requirement);
+                        approval = { level: requirement.level, label: requirement.label, received, required };
+                    }
+                    const followUp = followUpStatus(data, followUpSettings);
                     return {
                         proposalId: doc.id,
                         projectName: data.projectName,
                         clientCompany: data.clientCompany,
                         type: typeMap[data.status],
-                        status: data.status
+                        status: data.status,
+                        version: data.version || 1,
+                        // What the frontend checks the access policy against to pick the item's button
+                        ownerUid: ownerUidOf(data),
+                        requiresRevisionBy: data.status === 'revision_required' ? (data.directorApproval?.requiresRevisionBy || 'estimator') : null,
+                        dueAt,
+                        overdue,
+                        hoursOverdue,
+                        approval,
+                        followUp: followUp && {
+                            nextContactOn: followUp.nextContactOn,
+                            daysSinceSubmission: followUp.daysSinceSubmission,
+                            stale: followUp.stale
+                        },
+                        assignedEstimatorUid: data.assignedEstimatorUid || null,
+                        assignedEstimatorName: data.assignedEstimatorName || null
                     };
-                });
-            }
+                })
+                .sort((a, b) => b.overdue - a.overdue); // Overdue first, otherwise newest first as queried
 
             // Filter activities based on user role
             let activitiesQuery = db.collection('activities').orderBy('timestamp', 'desc').limit(5);
-            if (userRole === 'bdm') {
+            if (scopedToOwner(req.user, 'activity', 'view')) {
                 // BDMs only see activities related to their proposals
                 const proposalIds = proposals.map(p => p.id);
                 if (proposalIds.length > 0 && proposalIds.length <= 10) {
@@ -125,7 +184,8 @@ const handler = async (req, res) => {
                             winRate, 
                             avgMargin,
                             actionItems, 
-                            recentActivities
+                            recentActivities,
+                            currency
                         ) 
                     });
                 } else if (proposalIds.length === 0) {
@@ -144,7 +204,8 @@ const handler = async (req, res) => {
                             winRate, 
                             avgMargin,
                             actionItems, 
-                            []
+                            [],
+                            currency
                         ) 
                     });
                 }
@@ -166,7 +227,8 @@ const handler = async (req, res) => {
                 winRate, 
                 avgMargin,
                 actionItems, 
-                recentActivities
+                recentActivities,
+                currency
             );
 
             return res.status(200).json({ success: true, data: dashboardData });
@@ -193,9 +255,11 @@ function buildDashboardData(
     winRate, 
     avgMargin,
     actionItems, 
-    recentActivities
+    recentActivities,
+    currency
 ) {
     let dashboardData = {};
+    const money = amount => formatMoney(amount, currency.reportingCurrency);
     
     if (userRole === 'director') {
         // Directors see comprehensive company-wide data
@@ -204,7 +268,7 @@ function buildDashboardData(
         
         dashboardData = {
             stats: {
-                'Total Pipeline Value': `$${pipelineValue.toLocaleString()}`,
+                'Total Pipeline Value': money(pipelineValue),
                 'Jobs Won (YTD)': wonProposals.length,
                 'Jobs Lost (YTD)': lostProposals.length,
                 'Win Rate': `${winRate}%`,
@@ -213,7 +277,7 @@ function buildDashboardData(
             },
             actionItems,
             executiveOverview: {
-                'Booked Revenue': `$${totalWonValue.toLocaleString()}`,
+                'Booked Revenue': money(totalWonValue),
                 'Projects Won': wonProposals.length,
                 'Projects Lost': lostProposals.length,
                 'Total Tonnage Won': `${totalTonnage.toFixed(1)} tons`,
@@ -230,11 +294,12 @@ function buildDashboardData(
         dashboardData = {
             stats: {
                 'My Active Proposals': activeProposals.length,
-                'My Pipeline Value': `$${pipelineValue.toLocaleString()}`,
+                'My Pipeline Value': money(pipelineValue),
                 'My Jobs Won': wonProposals.length,
                 'My Jobs Lost': lostProposals.length,
                 'My Win Rate': `${winRate}%`,
-                'My Total Tonnage': `${myTonnage.toFixed(1)} tons`
+                'My Total Tonnage': `${myTonnage.toFixed(1)} tons`,
+                'Stale Submissions': actionItems.filter(item => item.followUp?.stale).length
             },
             actionItems,
             recentActivities
@@ -248,12 +313,13 @@ function buildDashboardData(
         dashboardData = {
             stats: {
                 'Active Proposals': activeProposals.length,
-                'Pipeline Value': `$${pipelineValue.toLocaleString()}`,
+                'Pipeline Value': money(pipelineValue),
                 'Jobs Won': wonProposals.length,
                 'Jobs Lost': lostProposals.length,
                 'Win Rate': `${winRate}%`,
                 'Avg Tonnage/Project': `${avgTonnagePerProject} tons`,
-                'Pending Pricing': actionItems.length
+                'Pending Pricing': actionItems.filter(item => item.type === 'pricing_required').length,
+                'Awaiting My Approval': actionItems.filter(item => item.type === 'approval_required').length
             },
             actionItems,
             recentActivities
@@ -265,7 +331,7 @@ function buildDashboardData(
         dashboardData = {
             stats: {
                 'Active Proposals': activeProposals.length,
-                'Pipeline Value': `$${pipelineValue.toLocaleString()}`,
+                'Pipeline Value': money(pipelineValue),
                 'Jobs Won': wonProposals.length,
                 'Jobs Lost': lostProposals.length,
                 'Win Rate': `${winRate}%`,
@@ -275,6 +341,15 @@ function buildDashboardData(
             recentActivities
         };
     }
+
+    // Original-currency sums, plus any proposals that could not be converted, so the
+    // converted totals can be traced back to what was actually quoted
+    dashboardData.currency = {
+        reportingCurrency: currency.reportingCurrency,
+        pipelineByCurrency: currency.pipeline.byCurrency,
+        bookedByCurrency: currency.booked.byCurrency,
+        unconverted: [...currency.pipeline.unconverted, ...currency.booked.unconverted]
+    };
     
     return dashboardData;
 }
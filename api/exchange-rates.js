@@ -0,0 +1,135 @@
+const admin = require('./_firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { validateExchangeRate } = require('./_currency');
+const { authorize } = require('./_policy');
+const util = require('util');
+
+const db = admin.firestore();
+
+const allowCors = fn => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST,PUT,DELETE');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+const handler = async (req, res) => {
+    try {
+        await util.promisify(verifyToken)(req, res);
+
+        // Parse JSON body for POST/PUT requests
+        if ((req.method === 'POST' || req.method === 'PUT') && req.headers['content-type'] === 'application/json') {
+            await new Promise((resolve) => {
+                const chunks = [];
+                req.on('data', (chunk) => chunks.push(chunk));
+                req.on('end', () => {
+                    try {
+                        const bodyBuffer = Buffer.concat(chunks);
+                        req.body = bodyBuffer.length > 0 ? JSON.parse(bodyBuffer.toString()) : {};
+                    } catch (e) {
+                        console.error("Error parsing JSON body:", e);
+                        req.body = {};
+                    }
+                    resolve();
+                });
+            });
+        }
+
+        if (req.method === 'GET') {
+            const denied = authorize(req.user, 'exchangeRate', 'view');
+            if (denied) return res.status(denied.status).json(denied.body);
+
+            const snapshot = await db.collection('exchangeRates').orderBy('effectiveFrom', 'desc').get();
+            const exchangeRates = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            return res.status(200).json({ success: true, data: exchangeRates });
+        }
+
+        const denied = authorize(req.user, 'exchangeRate', 'manage');
+        if (denied) return res.status(denied.status).json(denied.body);
+
+        if (req.method === 'POST') {
+            const { exchangeRate, error } = validateExchangeRate(req.body);
+            if (error) return res.status(400).json({ success: false, error });
+
+            const newExchangeRate = {
+                ...exchangeRate,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                createdByName: req.user.name
+            };
+            const docRef = await db.collection('exchangeRates').add(newExchangeRate);
+
+            await db.collection('activities').add({
+                type: 'exchange_rate_added',
+                details: `Exchange rate added: 1 ${exchangeRate.fromCurrency} = ${exchangeRate.rate} ${exchangeRate.toCurrency} from ${exchangeRate.effectiveFrom}`,
+                performedByName: req.user.name,
+                performedByRole: req.user.role,
+                performedByUid: req.user.uid,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            return res.status(201).json({ success: true, data: { id: docRef.id, ...newExchangeRate } });
+        }
+
+        if (req.method === 'PUT') {
+            const { id } = req.query;
+            if (!id) return res.status(400).json({ success: false, error: 'Missing exchange rate ID' });
+
+            const { exchangeRate, error } = validateExchangeRate(req.body);
+            if (error) return res.status(400).json({ success: false, error });
+
+            const rateRef = db.collection('exchangeRates').doc(id);
+            const doc = await rateRef.get();
+            if (!doc.exists) return res.status(404).json({ success: false, error: 'Exchange rate not found' });
+
+            await rateRef.update({
+                ...exchangeRate,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedByName: req.user.name
+            });
+            await db.collection('activities').add({
+                type: 'exchange_rate_updated',
+                details: `Exchange rate updated: 1 ${exchangeRate.fromCurrency} = ${exchangeRate.rate} ${exchangeRate.toCurrency} from ${exchangeRate.effectiveFrom} (was ${doc.data().rate})`,
+                performedByName: req.user.name,
+                performedByRole: req.user.role,
+                performedByUid: req.user.uid,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            return res.status(200).json({ success: true, message: 'Exchange rate updated successfully' });
+        }
+
+        if (req.method === 'DELETE') {
+            const { id } = req.query;
+            if (!id) return res.status(400).json({ success: false, error: 'Missing exchange rate ID' });
+
+            const rateRef = db.collection('exchangeRates').doc(id);
+            const doc = await rateRef.get();
+            if (!doc.exists) return res.status(404).json({ success: false, error: 'Exchange rate not found' });
+
+            const { fromCurrency, toCurrency, rate, effectiveFrom } = doc.data();
+            await rateRef.delete();
+            await db.collection('activities').add({
+                type: 'exchange_rate_deleted',
+                details: `Exchange rate deleted: 1 ${fromCurrency} = ${rate} ${toCurrency} from ${effectiveFrom}`,
+                performedByName: req.user.name,
+                performedByRole: req.user.role,
+                performedByUid: req.user.uid,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            return res.status(200).json({ success: true, message: 'Exchange rate deleted' });
+        }
+
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    } catch (error) {
+        console.error('Exchange rates API error:', error);
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = allowCors(handler);
@@ -0,0 +1,87 @@
+const admin = require('./_firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { parseProposalQuery, filterAndSortProposals } = require('./_proposal-query');
+const { EXPORT_COLUMNS, DEFAULT_COLUMNS, FORMATS, parseColumns, writeCsv, writeXlsx } = require('./_proposal-export');
+const { isTrashed } = require('./_trash');
+const { getOwnedProposalDocs } = require('./_ownership');
+const { scopedToOwner } = require('./_policy');
+const util = require('util');
+
+const db = admin.firestore();
+
+const allowCors = fn => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+// GET /api/export?format=csv|xlsx&columns=a,b,...&<same filters and sort as the proposals list>
+// GET /api/export?columns=list returns the selectable columns
+const handler = async (req, res) => {
+    try {
+        await util.promisify(verifyToken)(req, res);
+
+        if (req.method !== 'GET') {
+            return res.status(405).json({ success: false, error: 'Method not allowed' });
+        }
+
+        if (req.query.columns === 'list') {
+            return res.status(200).json({
+                success: true,
+                data: EXPORT_COLUMNS.map(({ key, label, estimation }) => ({ key, label, estimation: !!estimation, default: DEFAULT_COLUMNS.includes(key) }))
+            });
+        }
+
+        const format = req.query.format || 'csv';
+        if (!FORMATS.includes(format)) {
+            return res.status(400).json({ success: false, error: `format must be one of: ${FORMATS.join(', ')}` });
+        }
+        const { columns, error: columnsError } = parseColumns(req.query.columns);
+        if (columnsError) return res.status(400).json({ success: false, error: columnsError });
+
+        // Paging parameters do not apply to an export
+        const { cursor, limit, ...filters } = req.query;
+        const { options, error } = parseProposalQuery(filters);
+        if (error) return res.status(400).json({ success: false, error });
+
+        // BDMs only export the proposals they own, as in the list view
+        const docs = scopedToOwner(req.user, 'proposal', 'export')
+            ? await getOwnedProposalDocs(db, req.user.uid)
+            : (await db.collection('proposals').get()).docs;
+        const proposals = filterAndSortProposals(
+            docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(p => !isTrashed(p)),
+            options
+        );
+
+        await db.collection('activities').add({
+            type: 'proposals_exported',
+            details: `Exported ${proposals.length} proposal(s) as ${format.toUpperCase()}`,
+            performedByName: req.user.name,
+            performedByRole: req.user.role,
+            performedByUid: req.user.uid,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        const filename = `proposals-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.status(200);
+        if (format === 'xlsx') {
+            await writeXlsx(res, columns, proposals, req.user);
+        } else {
+            writeCsv(res, columns, proposals, req.user);
+        }
+    } catch (error) {
+        console.error('Export API error:', error);
+        if (res.headersSent) return res.end();
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = allowCors(handler);
@@ -1,5 +1,9 @@
 const admin = require('./_firebase-admin');
 const { verifyToken } = require('../middleware/auth');
+const { isTrashed, trashFields } = require('./_trash');
+const { getOwnedProposalDocs } = require('./_ownership');
+const { authorize, can, scopedToOwner, proposalContext } = require('./_policy');
+const { getSetting } = require('./_settings');
 const util = require('util');
 const multer = require('multer');
 // const sharp = require('sharp'); // REMOVED sharp requirement
@@ -11,6 +15,9 @@ const bucket = admin.storage().bucket();
 // Configure max file size from env, default to 100MB
 const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE_MB || '100') * 1024 * 1024;
 
+// File types with their own view/upload rules in the access policy; other types go by the 'general' ones
+const POLICY_FILE_TYPES = ['project', 'estimation', 'quotation'];
+
 // Configure multer for file uploads
 const upload = multer({
     storage: multer.memoryStorage(),
@@ -60,99 +67,54 @@ const allowCors = fn => async (req, res) => {
     return await fn(req, res);
 };
 
-// Helper function to check file access permissions with BDM isolation
-async function canAccessFile(file, userRole, userUid, proposalId = null) {
-    // Get proposal to check ownership for BDMs and status
+// The access policy has a view rule per file type; links count as project files. Files outside a
+// proposal have a rule of their own, and other types linked to a proposal are not shown (null).
+function viewAction(file) {
+    if (!file.proposalId) return 'view_unlinked';
+    if (!file.fileType || file.fileType === 'link') return 'view_project';
+    return POLICY_FILE_TYPES.includes(file.fileType) ? `view_${file.fileType}` : null;
+}
+
+// Loads (and caches) the file's proposal and asks the access policy whether `user` may see the file
+async function canAccessFile(file, user, proposalCache = {}) {
     let proposal = null;
-    let proposalStatus = null;
-    const effectiveProposalId = file.proposalId || proposalId; // Use file's ID first
-
-    if (effectiveProposalId) {
-        try {
-            const proposalDoc = await db.collection('proposals').doc(effectiveProposalId).get();
-            if (proposalDoc.exists) {
-                proposal = proposalDoc.data();
-                proposalStatus = proposal.status;
+    if (file.proposalId) {
+        if (!(file.proposalId in proposalCache)) {
+            try {
+                const proposalDoc = await db.collection('proposals').doc(file.proposalId).get();
+                proposalCache[file.proposalId] = proposalDoc.exists ? proposalDoc.data() : null;
+            } catch (error) {
+                console.error(`Error fetching proposal ${file.proposalId} for file access check:`, error);
+                // If proposal fetch fails, deny access as a precaution
+                return false;
             }
-        } catch (error) {
-            console.error(`Error fetching proposal ${effectiveProposalId} for file access check:`, error);
-            // If proposal fetch fails, deny access as a precaution
-            return false;
-        }
-    }
-
-    // BDMs can only access files from their own proposals
-    if (userRole === 'bdm') {
-        if (!proposal || proposal.createdByUid !== userUid) {
-            return false; // Not their proposal or no proposal linked
-        }
-    }
-
-    // If no proposal linked, non-BDM roles can access (e.g., general files)
-    if (!effectiveProposalId && userRole !== 'bdm') {
-        return true;
-    }
-
-    // Project files & Links (uploaded by BDM)
-    if (!file.fileType || file.fileType === 'project' || file.fileType === 'link') {
-        // For BDMs, ownership already checked above.
-        // Other roles can access all project files/links if linked to a proposal.
-        return true; // Access granted if it passed BDM check or user is not BDM
-    }
-
-    // Estimation files (uploaded by Estimator)
-    if (file.fileType === 'estimation') {
-        // Estimator, COO, and Director can always access
-        if (['estimator', 'coo', 'director'].includes(userRole)) {
-            return true;
-        }
-
-        // BDM can only access after director approval (or if job is won/submitted)
-        // AND only for their own proposals (checked earlier)
-        if (userRole === 'bdm') {
-            return ['approved', 'submitted_to_client', 'won'].includes(proposalStatus);
         }
+        proposal = proposalCache[file.proposalId];
+        // Files of a trashed proposal go with it
+        if (isTrashed(proposal)) return false;
     }
-
-    // Default deny
-    return false;
+    const action = viewAction(file);
+    return action !== null && can(user, 'file', action, proposalContext(proposal));
 }
 
+// What the current user may do with a file they can see
+function fileAccess(file, user) {
+    return {
+        canView: true,
+        canDownload: file.fileType !== 'link', // Cannot download links
+        canDelete: can(user, 'file', 'delete', { ownerUid: file.uploadedByUid })
+    };
+}
 
 // Helper function to filter files based on user permissions
-async function filterFilesForUser(files, userRole, userUid) {
-    const filteredFiles = [];
+async function filterFilesForUser(files, user) {
     const proposalCache = {}; // Cache proposal data to reduce reads
-
+    const filteredFiles = [];
     for (const file of files) {
-        let proposalData = null;
-        if (file.proposalId && !proposalCache[file.proposalId]) {
-            try {
-                const proposalDoc = await db.collection('proposals').doc(file.proposalId).get();
-                if (proposalDoc.exists) {
-                    proposalCache[file.proposalId] = proposalDoc.data();
-                }
-            } catch (error) {
-                 console.error(`Error fetching proposal ${file.proposalId} during file filtering:`, error);
-                 // Continue without proposal data for this file if fetch fails
-            }
-        }
-        proposalData = proposalCache[file.proposalId];
-
-        // Determine access based on cached proposal data
-        const canAccess = await canAccessFile(file, userRole, userUid, file.proposalId); // Pass proposalId context
-
-        if (canAccess) {
-            // Add access control metadata
-            filteredFiles.push({
-                ...file,
-                canView: true,
-                canDownload: file.fileType !== 'link', // Cannot download links
-                canDelete: file.uploadedByUid === userUid || userRole === 'director'
-            });
+        if (await canAccessFile(file, user, proposalCache)) {
+            filteredFiles.push({ ...file, ...fileAccess(file, user) });
         }
     }
-
     return filteredFiles;
 }
 
@@ -168,29 +130,24 @@ const handler = async (req, res) => {
             // --- Get Specific File by ID ---
             if (fileId) {
                 const fileDoc = await db.collection('files').doc(fileId).get();
-                if (!fileDoc.exists) {
+                if (!fileDoc.exists || isTrashed(fileDoc.data())) {
                     return res.status(404).json({ success: false, error: 'File not found' });
                 }
 
                 const fileData = fileDoc.data();
-                const canAccess = await canAccessFile(fileData, req.user.role, req.user.uid);
+                const canAccess = await canAccessFile(fileData, req.user);
 
                 if (!canAccess) {
                     return res.status(403).json({
                         success: false,
+                        code: 'forbidden',
                         error: 'Access denied. You do not have permission to view this file.'
                     });
                 }
 
                 return res.status(200).json({
                     success: true,
-                    data: {
-                        id: fileDoc.id,
-                        ...fileData,
-                        canView: true,
-                        canDownload: fileData.fileType !== 'link',
-                        canDelete: fileData.uploadedByUid === req.user.uid || req.user.role === 'director'
-                    }
+                    data: { id: fileDoc.id, ...fileData, ...fileAccess(fileData, req.user) }
                 });
             }
 
@@ -198,24 +155,15 @@ const handler = async (req, res) => {
             let query = db.collection('files').orderBy('uploadedAt', 'desc');
 
             if (proposalId) {
-                // If requesting files for a specific proposal, first check BDM access to that proposal
-                if (req.user.role === 'bdm') {
-                    const proposalDoc = await db.collection('proposals').doc(proposalId).get();
-                    if (!proposalDoc.exists || proposalDoc.data().createdByUid !== req.user.uid) {
-                        return res.status(403).json({
-                            success: false,
-                            error: 'Access denied. You can only view files from your own proposals.'
-                        });
-                    }
-                }
+                // If requesting files for a specific proposal, first check access to that proposal
+                const proposalDoc = await db.collection('proposals').doc(proposalId).get();
+                const denied = authorize(req.user, 'file', 'view_project', proposalContext(proposalDoc.exists ? proposalDoc.data() : null));
+                if (denied) return res.status(denied.status).json(denied.body);
                 // Filter files by the given proposalId
                 query = query.where('proposalId', '==', proposalId);
-            } else if (req.user.role === 'bdm') {
+            } else if (scopedToOwner(req.user, 'file', 'view_project')) {
                 // If BDM requests all files, filter to only those linked to their proposals
-                const proposalsSnapshot = await db.collection('proposals')
-                    .where('createdByUid', '==', req.user.uid)
-                    .get();
-                const proposalIds = proposalsSnapshot.docs.map(doc => doc.id);
+                const proposalIds = (await getOwnedProposalDocs(db, req.user.uid)).map(doc => doc.id);
 
                 if (proposalIds.length === 0) {
                     // BDM has no proposals, so no files to show
@@ -236,10 +184,12 @@ const handler = async (req, res) => {
              // For non-BDMs requesting all files, no additional filters needed here.
 
             const snapshot = await query.limit(500).get(); // Limit query size for performance
-            const allFiles = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const allFiles = snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .filter(file => !isTrashed(file)); // Trashed files only appear in the Trash view
 
             // Crucially, filter the results based on detailed access rules
-            const filteredFiles = await filterFilesForUser(allFiles, req.user.role, req.user.uid);
+            const filteredFiles = await filterFilesForUser(allFiles, req.user);
 
             return res.status(200).json({ success: true, data: filteredFiles });
         }
@@ -277,15 +227,11 @@ const handler = async (req, res) => {
                     return res.status(400).json({ success: false, error: 'No links provided in the request body.' });
                 }
 
-                // Check BDM permissions if linking to a specific proposal
-                if (req.user.role === 'bdm' && proposalId) {
+                // Check permissions if linking to a specific proposal
+                if (proposalId) {
                     const proposalDoc = await db.collection('proposals').doc(proposalId).get();
-                    if (!proposalDoc.exists || proposalDoc.data().createdByUid !== req.user.uid) {
-                        return res.status(403).json({
-                            success: false,
-                            error: 'You can only add links to your own proposals.'
-                        });
-                    }
+                    const denied = authorize(req.user, 'file', 'add_link', proposalContext(proposalDoc.exists ? proposalDoc.data() : null));
+                    if (denied) return res.status(denied.status).json(denied.body);
                 }
 
                 const batch = db.batch(); // Use batch for efficiency
@@ -369,28 +315,18 @@ const handler = async (req, res) => {
                             }
 
                              // --- Permission Checks ---
-                            if (req.user.role === 'bdm' && proposalId) {
+                            // Project files outside a proposal are filed as general ones for non-BDMs
+                            if (fileType === 'project' && !proposalId && !can(req.user, 'file', 'upload_project')) {
+                                fileType = 'general';
+                            }
+                            let uploadContext;
+                            if (proposalId) {
                                 const proposalDoc = await db.collection('proposals').doc(proposalId).get();
-                                if (!proposalDoc.exists || proposalDoc.data().createdByUid !== req.user.uid) {
-                                    return res.status(403).json({
-                                        success: false,
-                                        error: 'You can only add files to your own proposals.'
-                                    });
-                                }
+                                uploadContext = proposalContext(proposalDoc.exists ? proposalDoc.data() : null);
                             }
-                             // Only specific roles can upload specific types
-                             if (fileType === 'estimation' && req.user.role !== 'estimator') {
-                                return res.status(403).json({ success: false, error: 'Only Estimators can upload Estimation files.' });
-                             }
-                             if (fileType === 'project' && req.user.role !== 'bdm') {
-                                 // Allow upload without proposalId if not BDM? Or restrict? Let's restrict for now.
-                                 if (proposalId) {
-                                    return res.status(403).json({ success: false, error: 'Only BDMs can upload Project files to proposals.' });
-                                 }
-                                 // If no proposalId, maybe allow COO/Director to upload 'general' project files?
-                                 // For now, let's keep it simple: project files are primarily by BDMs.
-                                 fileType = 'general'; // Reclassify if not BDM
-                             }
+                            const uploadAction = POLICY_FILE_TYPES.includes(fileType) ? `upload_${fileType}` : 'upload_general';
+                            const denied = authorize(req.user, 'file', uploadAction, uploadContext);
+                            if (denied) return res.status(denied.status).json(denied.body);
 
 
                             // --- Process and Upload Each File ---
@@ -476,58 +412,37 @@ const handler = async (req, res) => {
             const fileDocRef = db.collection('files').doc(id);
             const fileDoc = await fileDocRef.get();
 
-            if (!fileDoc.exists) {
+            if (!fileDoc.exists || isTrashed(fileDoc.data())) {
                 return res.status(404).json({ success: false, error: 'File metadata not found in database.' });
             }
 
             const fileData = fileDoc.data();
 
             // --- Permission Check ---
-            if (fileData.uploadedByUid !== req.user.uid && req.user.role !== 'director') {
-                return res.status(403).json({
-                    success: false,
-                    error: 'Permission denied. You can only delete files you uploaded, or you must be a director.'
-                });
-            }
-
-            // --- Delete from Storage (if not a link) ---
-            if (fileData.fileType !== 'link' && fileData.fileName) {
-                try {
-                     console.log(`Deleting file from storage: ${fileData.fileName}`);
-                    await bucket.file(fileData.fileName).delete();
-                     console.log(`Successfully deleted from storage: ${fileData.fileName}`);
-                } catch (storageError) {
-                    // Log error but proceed if file not found (maybe deleted manually?)
-                     if (storageError.code === 404) {
-                        console.warn(`File not found in storage during deletion: ${fileData.fileName}. Proceeding to delete Firestore record.`);
-                     } else {
-                        console.error(`Storage deletion error for ${fileData.fileName}:`, storageError);
-                        // Optionally, stop here if storage deletion failure is critical
-                        // return res.status(500).json({ success: false, error: 'Failed to delete file from storage.' });
-                     }
-                }
-            }
+            const denied = authorize(req.user, 'file', 'delete', { ownerUid: fileData.uploadedByUid });
+            if (denied) return res.status(denied.status).json(denied.body);
 
-            // --- Delete from Firestore ---
-             console.log(`Deleting Firestore record for file ID: ${id}`);
-            await fileDocRef.delete();
-             console.log(`Successfully deleted Firestore record for file ID: ${id}`);
+            // --- Move to Trash ---
+            // The bucket object is kept until the retention window passes, so a misclick can be undone
+            const { retentionDays } = await getSetting('trash');
+            await fileDocRef.update(trashFields(req.user));
 
             // --- Log Activity ---
             await db.collection('activities').add({
-                type: fileData.fileType === 'link' ? 'link_deleted' : 'file_deleted',
-                details: `${fileData.fileType === 'link' ? 'Link' : 'File'} deleted: ${fileData.originalName}`,
+                type: fileData.fileType === 'link' ? 'link_trashed' : 'file_trashed',
+                details: `${fileData.fileType === 'link' ? 'Link' : 'File'} moved to trash: ${fileData.originalName}`,
                 performedByName: req.user.name,
                 performedByRole: req.user.role,
                 performedByUid: req.user.uid,
                 timestamp: admin.firestore.FieldValue.serverTimestamp(),
-                proposalId: fileData.proposalId || null
-                // No fileId here as it's being deleted
+                proposalId: fileData.proposalId || null,
+                fileId: id
             });
 
             return res.status(200).json({
                 success: true,
-                message: `${fileData.fileType === 'link' ? 'Link' : 'File'} deleted successfully.`
+                message: `${fileData.fileType === 'link' ? 'Link' : 'File'} moved to trash. It can be restored for ${retentionDays} days.`,
+                retentionDays
             });
         } // End DELETE handler
 
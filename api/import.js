@@ -0,0 +1,350 @@
+const admin = require('./_firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { MAX_ROWS, IMPORT_FIELDS, parseCsv, buildMapping, validateImport, checkQuoteNumbers } = require('./_proposal-import');
+const { reserveQuoteNumbers } = require('./_quote-numbers');
+const { getSetting } = require('./_settings');
+const { stageSla } = require('./_sla');
+const { normalizeClientName, validateClient } = require('./_clients');
+const { toSnapshot } = require('./_proposal-versions');
+const { COUNTRIES } = require('./_rate-cards');
+const { authorize } = require('./_policy');
+const util = require('util');
+
+const db = admin.firestore();
+
+// Each imported proposal is two writes (the proposal and its versions/1 snapshot);
+// Firestore batches hold at most 500 writes
+const ROWS_PER_BATCH = 200;
+
+const allowCors = fn => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST,DELETE');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+function toTimestamp(isoDate) {
+    return admin.firestore.Timestamp.fromDate(new Date(`${isoDate}T00:00:00Z`));
+}
+
+// Matches each imported client name to an existing client (by normalized name or alias) and
+// lists the names that will be created. Returns { byName: normalizedName -> client|null, newClients }.
+async function planClients(proposals) {
+    const snapshot = await db.collection('clients').get();
+    const clients = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(client => !client.mergedInto);
+
+    const byName = {};
+    const newClients = [];
+    for (const { proposal } of proposals) {
+        const normalizedName = normalizeClientName(proposal.clientCompany);
+        if (byName[normalizedName] !== undefined) continue;
+        const existing = clients.find(client => client.normalizedName === normalizedName ||
+            (client.aliases || []).some(alias => normalizeClientName(alias) === normalizedName));
+        byName[normalizedName] = existing || null;
+        if (!existing) newClients.push({ name: proposal.clientCompany, country: proposal.country });
+    }
+    return { byName, newClients };
+}
+
+// The imported quote numbers that existing proposals already carry
+async function takenQuoteNumbers(quoteNumbers) {
+    const taken = new Set();
+    // array-contains-any and in take at most 10 values
+    for (let i = 0; i < quoteNumbers.length; i += 10) {
+        const chunk = quoteNumbers.slice(i, i + 10);
+        const [byList, byCurrent] = await Promise.all([
+            db.collection('proposals').where('quoteNumbers', 'array-contains-any', chunk).get(),
+            db.collection('proposals').where('quoteNumber', 'in', chunk).get()
+        ]);
+        for (const doc of [...byList.docs, ...byCurrent.docs]) {
+            [doc.data().quoteNumber, ...(doc.data().quoteNumbers || [])]
+                .filter(quoteNumber => chunk.includes(quoteNumber))
+                .forEach(quoteNumber => taken.add(quoteNumber));
+        }
+    }
+    return taken;
+}
+
+// Why an imported proposal has to stay when its import is rolled back: it was changed after the import
+// or other records refer to it. `loggedProposalIds` holds the proposals with timesheet hours.
+// Returns the reasons, empty when it can go.
+async function keepReasons(proposalDoc, loggedProposalIds) {
+    const reasons = [];
+    if ((proposalDoc.data().version || 1) > 1) reasons.push('changed since the import');
+    const [comments, files, project] = await Promise.all([
+        proposalDoc.ref.collection('comments').limit(1).get(),
+        db.collection('files').where('proposalId', '==', proposalDoc.id).limit(1).get(),
+        db.collection('projects').doc(proposalDoc.id).get()
+    ]);
+    if (!comments.empty) reasons.push('has comments');
+    if (!files.empty) reasons.push('has files');
+    if (project.exists) reasons.push('has a delivery project');
+    if (loggedProposalIds.has(proposalDoc.id)) reasons.push('has timesheet hours');
+    return reasons;
+}
+
+async function logActivity(user, type, details) {
+    await db.collection('activities').add({
+        type,
+        details,
+        performedByName: user.name,
+        performedByRole: user.role,
+        performedByUid: user.uid,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+const handler = async (req, res) => {
+    try {
+        await util.promisify(verifyToken)(req, res);
+
+        const denied = authorize(req.user, 'proposal', 'import');
+        if (denied) return res.status(denied.status).json(denied.body);
+
+        // Parse JSON body for POST requests
+        if (req.method === 'POST' && req.headers['content-type'] === 'application/json') {
+            await new Promise((resolve) => {
+                const chunks = [];
+                req.on('data', (chunk) => chunks.push(chunk));
+                req.on('end', () => {
+                    try {
+                        const bodyBuffer = Buffer.concat(chunks);
+                        req.body = bodyBuffer.length > 0 ? JSON.parse(bodyBuffer.toString()) : {};
+                    } catch (e) {
+                        console.error("Error parsing JSON body:", e);
+                        req.body = {};
+                    }
+                    resolve();
+                });
+            });
+        }
+
+        if (req.method === 'GET') {
+            // Importable fields, for building a column mapping
+            if (req.query.fields) {
+                return res.status(200).json({ success: true, data: IMPORT_FIELDS });
+            }
+            const snapshot = await db.collection('imports').orderBy('createdAt', 'desc').limit(50).get();
+            return res.status(200).json({ success: true, data: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) });
+        }
+
+        if (req.method === 'POST') {
+            const { csv, fileName, mapping: explicitMapping, dryRun } = req.body || {};
+            if (!csv || typeof csv !== 'string') {
+                return res.status(400).json({ success: false, error: 'Missing CSV content' });
+            }
+
+            const [headers, ...rows] = parseCsv(csv);
+            if (!headers || rows.length === 0) {
+                return res.status(400).json({ success: false, error: 'The CSV has no data rows.' });
+            }
+            if (rows.length > MAX_ROWS) {
+                return res.status(400).json({ success: false, error: `At most ${MAX_ROWS} rows can be imported at once; split the file.` });
+            }
+            const { mapping, error } = buildMapping(headers, explicitMapping);
+            if (error) return res.status(400).json({ success: false, error });
+
+            const usersSnapshot = await db.collection('users').where('role', '==', 'bdm').get();
+            const bdms = usersSnapshot.docs.map(doc => ({ uid: doc.id, name: doc.data().name, email: doc.data().email }));
+
+            const validated = validateImport(rows, mapping, bdms);
+            const quoteNumbers = [...new Set(validated.proposals.map(({ proposal }) => proposal.quoteNumber).filter(Boolean))];
+            const report = checkQuoteNumbers(validated, await takenQuoteNumbers(quoteNumbers));
+            const { byName, newClients } = await planClients(report.proposals);
+            const summary = {
+                totalRows: rows.length,
+                validRows: report.proposals.length,
+                errors: report.errors,
+                warnings: report.warnings,
+                mappedColumns: Object.fromEntries(Object.entries(mapping).map(([key, index]) => [key, headers[index]])),
+                newClients: newClients.map(c => c.name)
+            };
+
+            if (dryRun) {
+                return res.status(200).json({ success: true, dryRun: true, data: summary });
+            }
+            // All or nothing: a partially imported history is harder to clean up than a rejected file
+            if (report.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${report.errors.length} row(s) failed validation. Fix them and run the import again.`,
+                    data: summary
+                });
+            }
+
+            const clients = newClients.map(({ name, country }) => validateClient({ name, billingCountry: COUNTRIES.includes(country) ? country : undefined }));
+            const clientError = clients.find(result => result.error);
+            if (clientError) {
+                return res.status(400).json({ success: false, error: clientError.error, data: summary });
+            }
+
+            // The quote number sequence must not hand out an imported number again
+            await reserveQuoteNumbers(quoteNumbers, (await getSetting('quoteNumbers')).pattern);
+
+            const importRef = db.collection('imports').doc();
+            const importId = importRef.id;
+            await importRef.set({
+                fileName: fileName || 'upload.csv',
+                status: 'in_progress',
+                rowCount: report.proposals.length,
+                clientsCreated: [],
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                createdByName: req.user.name,
+                createdByUid: req.user.uid
+            });
+
+            try {
+                // Clients first, so every proposal can carry its clientId
+                const clientsCreated = [];
+                let clientBatch = db.batch();
+                for (const { client } of clients) {
+                    if (clientsCreated.length > 0 && clientsCreated.length % (ROWS_PER_BATCH * 2) === 0) {
+                        await clientBatch.commit();
+                        clientBatch = db.batch();
+                    }
+                    const clientRef = db.collection('clients').doc();
+                    clientBatch.set(clientRef, {
+                        ...client,
+                        aliases: [],
+                        importId,
+                        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                        createdByUid: req.user.uid,
+                        createdByName: req.user.name
+                    });
+                    byName[client.normalizedName] = { id: clientRef.id, name: client.name };
+                    clientsCreated.push(clientRef.id);
+                }
+                await clientBatch.commit();
+                await importRef.update({ clientsCreated });
+
+                // Pending stages start at the import, not at the historic creation date, so the
+                // SLA job does not escalate every imported pending proposal on its next run
+                const slaSettings = await getSetting('sla');
+                const importedAt = new Date();
+
+                for (let i = 0; i < report.proposals.length; i += ROWS_PER_BATCH) {
+                    const batch = db.batch();
+                    for (const { row, proposal: imported } of report.proposals.slice(i, i + ROWS_PER_BATCH)) {
+                        const { bdm, createdAt, ...fields } = imported;
+                        const client = byName[normalizeClientName(fields.clientCompany)];
+                        const proposal = {
+                            ...fields,
+                            clientId: client.id,
+                            clientCompany: client.name,
+                            version: 1,
+                            createdAt: toTimestamp(createdAt),
+                            updatedAt: toTimestamp(createdAt),
+                            sla: stageSla(fields.status, fields.priority, slaSettings, importedAt),
+                            createdByUid: bdm.uid,
+                            createdByName: bdm.name || req.user.name,
+                            ownerUid: bdm.uid,
+                            ownerName: bdm.name || null,
+                            importId,
+                            changeLog: [{
+                                timestamp: new Date().toISOString(),
+                                action: 'imported',
+                                performedByName: req.user.name,
+                                details: `Imported from ${fileName || 'CSV'} (row ${row})`
+                            }]
+                        };
+                        const proposalRef = db.collection('proposals').doc();
+                        batch.set(proposalRef, proposal);
+                        batch.set(proposalRef.collection('versions').doc('1'), {
+                            version: 1,
+                            action: 'imported',
+                            status: proposal.status,
+                            changedFields: [],
+                            snapshot: toSnapshot(proposal),
+                            savedAt: admin.firestore.Timestamp.now(),
+                            savedByName: req.user.name,
+                            savedByRole: req.user.role,
+                            savedByUid: req.user.uid
+                        });
+                    }
+                    await batch.commit();
+                }
+            } catch (writeError) {
+                // Leave the partial import marked so it can be rolled back
+                await importRef.update({ status: 'failed', error: writeError.message });
+                throw writeError;
+            }
+
+            await importRef.update({ status: 'completed', completedAt: admin.firestore.FieldValue.serverTimestamp() });
+            await logActivity(req.user, 'proposals_imported',
+                `Imported ${report.proposals.length} proposal(s) from ${fileName || 'CSV'} (import ${importId}, ${newClients.length} new client(s))`);
+
+            return res.status(201).json({ success: true, message: `Imported ${report.proposals.length} proposal(s)`, importId, data: summary });
+        }
+
+        if (req.method === 'DELETE') {
+            // Rollback: removes the proposals of the import and the clients it created. Proposals changed
+            // since, or that comments, files, projects or timesheets refer to, are kept and reported; the
+            // rollback can be run again once they have been dealt with.
+            const { id } = req.query;
+            if (!id) return res.status(400).json({ success: false, error: 'Missing import ID' });
+
+            const importRef = db.collection('imports').doc(id);
+            const importDoc = await importRef.get();
+            if (!importDoc.exists) return res.status(404).json({ success: false, error: 'Import not found' });
+            if (importDoc.data().status === 'rolled_back') {
+                return res.status(409).json({ success: false, error: 'This import was already rolled back.' });
+            }
+
+            const proposalsSnapshot = await db.collection('proposals').where('importId', '==', id).get();
+            const timesheetsSnapshot = proposalsSnapshot.empty ? { docs: [] } : await db.collection('timesheets').get();
+            const loggedProposalIds = new Set(timesheetsSnapshot.docs.flatMap(doc => (doc.data().entries || []).map(entry => entry.proposalId)));
+            const kept = [];
+            let proposalsRemoved = 0;
+            for (const doc of proposalsSnapshot.docs) {
+                const reasons = await keepReasons(doc, loggedProposalIds);
+                if (reasons.length > 0) {
+                    kept.push({ id: doc.id, projectName: doc.data().projectName, reasons });
+                    continue;
+                }
+                await db.recursiveDelete(doc.ref);
+                proposalsRemoved++;
+            }
+
+            // Clients created by the import stay if proposals added since then use them
+            let clientsRemoved = 0;
+            for (const clientId of importDoc.data().clientsCreated || []) {
+                const inUse = await db.collection('proposals').where('clientId', '==', clientId).limit(1).get();
+                if (inUse.empty) {
+                    await db.collection('clients').doc(clientId).delete();
+                    clientsRemoved++;
+                }
+            }
+
+            await importRef.update({
+                status: kept.length > 0 ? 'partially_rolled_back' : 'rolled_back',
+                proposalsKept: kept.map(proposal => proposal.id),
+                rolledBackAt: admin.firestore.FieldValue.serverTimestamp(),
+                rolledBackByName: req.user.name
+            });
+            await logActivity(req.user, 'import_rolled_back',
+                `Rolled back import ${id} (${importDoc.data().fileName}): ${proposalsRemoved} proposal(s) and ${clientsRemoved} client(s) removed${kept.length ? `, ${kept.length} proposal(s) kept` : ''}`);
+
+            return res.status(200).json({
+                success: true,
+                message: `Rolled back ${proposalsRemoved} proposal(s)${kept.length ? `; kept ${kept.length} that are in use` : ''}`,
+                proposalsRemoved,
+                proposalsKept: kept,
+                clientsRemoved
+            });
+        }
+
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    } catch (error) {
+        console.error('Import API error:', error);
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = allowCors(handler);
@@ -1,5 +1,6 @@
 const admin = require('./_firebase-admin');
 const { verifyToken } = require('../middleware/auth');
+const { authorize, can } = require('./_policy');
 const util = require('util');
 const db = admin.firestore();
 
@@ -21,21 +22,29 @@ const handler = async (req, res) => {
         
         if (req.method === 'GET') {
             // Get notifications for the current user
-            let query = db.collection('notifications')
+            const unread = db.collection('notifications')
                 .where('isRead', '==', false)
                 .orderBy('createdAt', 'desc')
                 .limit(20); // Increased limit to show more notifications
-            
-            // For BDMs, filter notifications to only those meant for them specifically
-            if (req.user.role === 'bdm') {
-                query = query.where('recipientUid', '==', req.user.uid);
-            } else {
-                // For other roles, use role-based filtering
-                query = query.where('recipientRole', '==', req.user.role);
+
+            // Notifications addressed to this user specifically (all BDM notifications, @mentions)
+            const queries = [unread.where('recipientUid', '==', req.user.uid)];
+            if (can(req.user, 'notification', 'view_role_wide')) {
+                // Other roles also get role-wide notifications; ones addressed to a colleague are skipped below
+                queries.push(unread.where('recipientRole', '==', req.user.role));
             }
-                        
-            const snapshot = await query.get();
-            const notifications = snapshot.docs.map(doc => { 
+
+            const snapshots = await Promise.all(queries.map(query => query.get()));
+            const docsById = new Map();
+            snapshots.forEach(snapshot => snapshot.docs.forEach(doc => {
+                const recipientUid = doc.data().recipientUid;
+                if (!recipientUid || recipientUid === req.user.uid) docsById.set(doc.id, doc);
+            }));
+            const docs = [...docsById.values()]
+                .sort((a, b) => (b.data().createdAt?.toMillis?.() || 0) - (a.data().createdAt?.toMillis?.() || 0))
+                .slice(0, 20);
+
+            const notifications = docs.map(doc => { 
                 const data = doc.data();
                 return {
                     id: doc.id, 
@@ -65,17 +74,16 @@ const handler = async (req, res) => {
             
             const notificationData = notificationDoc.data();
             
-            // Check if user can access this notification
-            if (req.user.role === 'bdm') {
-                if (notificationData.recipientUid !== req.user.uid) {
-                    return res.status(403).json({ success: false, error: 'Access denied to this notification' });
-                }
-            } else {
-                if (notificationData.recipientRole !== req.user.role) {
-                    return res.status(403).json({ success: false, error: 'Access denied to this notification' });
-                }
+            // Check if user can access this notification: addressed to them, or role-wide for their role
+            const { recipientUid, recipientRole } = notificationData;
+            const denied = recipientUid
+                ? authorize(req.user, 'notification', 'view', { ownerUid: recipientUid })
+                : authorize(req.user, 'notification', 'view_role_wide');
+            if (denied) return res.status(denied.status).json(denied.body);
+            if (!recipientUid && recipientRole !== req.user.role) {
+                return res.status(403).json({ success: false, code: 'forbidden', error: 'Access denied to this notification' });
             }
-                        
+
             await db.collection('notifications').doc(id).update({
                 isRead: true,
                 readAt: admin.firestore.FieldValue.serverTimestamp()
@@ -0,0 +1,35 @@
+const { verifyToken } = require('../middleware/auth');
+const { policyMatrix } = require('./_policy');
+const util = require('util');
+
+const allowCors = fn => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+// GET /api/policy
+// The access policy as it applies to the caller's role, per resource and action. The frontend checks
+// records against it to decide which actions to offer; the routes enforce the same rules.
+const handler = async (req, res) => {
+    try {
+        await util.promisify(verifyToken)(req, res);
+
+        if (req.method !== 'GET') {
+            return res.status(405).json({ success: false, error: 'Method not allowed' });
+        }
+
+        return res.status(200).json({ success: true, data: { role: req.user.role, uid: req.user.uid, resources: policyMatrix(req.user.role) } });
+    } catch (error) {
+        console.error('Policy API error:', error);
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = allowCors(handler);
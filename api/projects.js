@@ -0,0 +1,245 @@
+const admin = require('./_firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { PROJECT_STATUSES, buildProject, loadProjectSources, updateMilestone, lateMilestones } = require('./_projects');
+const { isTrashed } = require('./_trash');
+const { authorize, can, scopedToOwner } = require('./_policy');
+const util = require('util');
+
+const db = admin.firestore();
+
+
+const allowCors = fn => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST,PUT');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+// BDMs only see the projects of proposals they own; other projects are reported as missing
+function canView(project, user) {
+    return can(user, 'project', 'view', { ownerUid: project.ownerUid });
+}
+
+function withProgress(id, project) {
+    const milestones = project.milestones || [];
+    return {
+        id,
+        ...project,
+        progress: {
+            completed: milestones.filter(m => m.status === 'completed').length,
+            total: milestones.length,
+            late: lateMilestones(project).map(m => m.key),
+            next: milestones.find(m => m.status !== 'completed') || null
+        }
+    };
+}
+
+function projectActivity(transaction, user, type, details, projectId, project) {
+    transaction.set(db.collection('activities').doc(), {
+        type,
+        details,
+        performedByName: user.name,
+        performedByRole: user.role,
+        performedByUid: user.uid,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        proposalId: project.proposalId,
+        projectId,
+        projectName: project.projectName,
+        clientCompany: project.clientCompany
+    });
+}
+
+// GET  /api/projects[?status=active] | /api/projects?id=<id>
+// POST /api/projects { proposalId }                  create the project of a proposal won before projects existed
+// PUT  /api/projects?id=<id> { action, expectedVersion, ... }
+//      update_milestone { milestoneKey, plannedStart?, plannedEnd?, status?, ownerUid? }
+//      set_status { status }
+const handler = async (req, res) => {
+    try {
+        await util.promisify(verifyToken)(req, res);
+
+        // Parse JSON body for POST/PUT requests
+        if ((req.method === 'POST' || req.method === 'PUT') && req.headers['content-type'] === 'application/json') {
+            await new Promise((resolve) => {
+                const chunks = [];
+                req.on('data', (chunk) => chunks.push(chunk));
+                req.on('end', () => {
+                    try {
+                        const bodyBuffer = Buffer.concat(chunks);
+                        req.body = bodyBuffer.length > 0 ? JSON.parse(bodyBuffer.toString()) : {};
+                    } catch (e) {
+                        console.error("Error parsing JSON body:", e);
+                        req.body = {};
+                    }
+                    resolve();
+                });
+            });
+        }
+
+        if (req.method === 'GET') {
+            const { id, status } = req.query;
+
+            if (id) {
+                const doc = await db.collection('projects').doc(id).get();
+                if (!doc.exists || !canView(doc.data(), req.user)) {
+                    return res.status(404).json({ success: false, error: 'Project not found' });
+                }
+                return res.status(200).json({ success: true, data: withProgress(doc.id, doc.data()) });
+            }
+
+            if (status && !PROJECT_STATUSES.includes(status)) {
+                return res.status(400).json({ success: false, error: `status must be one of: ${PROJECT_STATUSES.join(', ')}` });
+            }
+            let query = db.collection('projects');
+            if (scopedToOwner(req.user, 'project', 'view')) query = query.where('ownerUid', '==', req.user.uid);
+            if (status) query = query.where('status', '==', status);
+            const snapshot = await query.get();
+            const projects = snapshot.docs
+                .map(doc => withProgress(doc.id, doc.data()))
+                .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+            return res.status(200).json({ success: true, data: projects });
+        }
+
+        if (!['POST', 'PUT'].includes(req.method)) {
+            return res.status(405).json({ success: false, error: 'Method not allowed' });
+        }
+
+        if (req.method === 'POST') {
+            const denied = authorize(req.user, 'project', 'create');
+            if (denied) return res.status(denied.status).json(denied.body);
+            const { proposalId } = req.body;
+            if (!proposalId) return res.status(400).json({ success: false, error: 'proposalId is required.' });
+
+            const proposalRef = db.collection('proposals').doc(proposalId);
+            const result = await db.runTransaction(async (transaction) => {
+                const proposalDoc = await transaction.get(proposalRef);
+                if (!proposalDoc.exists || isTrashed(proposalDoc.data())) {
+                    return { status: 404, body: { success: false, error: 'Proposal not found' } };
+                }
+                const proposal = proposalDoc.data();
+                if (proposal.status !== 'won') {
+                    return { status: 409, body: { success: false, error: 'Only won proposals can become projects.' } };
+                }
+                const { ref, exists, files } = await loadProjectSources(transaction, proposalId);
+                if (exists) {
+                    return { status: 409, body: { success: false, error: 'This proposal already has a project.', projectId: proposalId } };
+                }
+
+                const project = buildProject(proposalId, proposal, files, req.user);
+                transaction.set(ref, project);
+                transaction.update(proposalRef, { projectId: proposalId });
+                projectActivity(transaction, req.user, 'project_created', `Project created from won proposal ${proposal.quoteNumber || proposalId}`, proposalId, project);
+                return { status: 201, body: { success: true, data: { id: proposalId }, message: `Project created for ${proposal.projectName}` } };
+            });
+            return res.status(result.status).json(result.body);
+        }
+
+        // PUT
+        const { id } = req.query;
+        const { action, expectedVersion } = req.body;
+        if (!id) return res.status(400).json({ success: false, error: 'Project id is required.' });
+
+        const projectRef = db.collection('projects').doc(id);
+        const result = await db.runTransaction(async (transaction) => {
+            const projectDoc = await transaction.get(projectRef);
+            if (!projectDoc.exists || !canView(projectDoc.data(), req.user)) {
+                return { status: 404, body: { success: false, error: 'Project not found' } };
+            }
+            const project = projectDoc.data();
+            const currentVersion = project.version || 1;
+            if (expectedVersion !== undefined && expectedVersion !== null && Number(expectedVersion) !== currentVersion) {
+                return {
+                    status: 409,
+                    body: {
+                        success: false,
+                        code: 'version_conflict',
+                        error: 'This project was changed by someone else since you opened it. Reload to see the latest version.',
+                        currentVersion
+                    }
+                };
+            }
+            let updates;
+            let activityType;
+            let activityDetail;
+            let assignedOwner = null;
+
+            if (action === 'update_milestone') {
+                const index = (project.milestones || []).findIndex(m => m.key === req.body.milestoneKey);
+                if (index === -1) return { status: 400, body: { success: false, error: `Unknown milestone '${req.body.milestoneKey}'.` } };
+                const milestone = project.milestones[index];
+
+                // Owners report progress; planning (dates and owners) is for COO and Director
+                const plans = ['plannedStart', 'plannedEnd', 'ownerUid'].some(field => req.body[field] !== undefined);
+                const denied = authorize(req.user, 'project', 'update_milestone', { ownerUid: milestone.ownerUid }) ||
+                    (plans ? authorize(req.user, 'project', 'plan_milestone') : null);
+                if (denied) return denied;
+
+                let owner;
+                if (req.body.ownerUid !== undefined && req.body.ownerUid !== milestone.ownerUid) {
+                    owner = null;
+                    if (req.body.ownerUid) {
+                        const ownerDoc = await transaction.get(db.collection('users').doc(req.body.ownerUid));
+                        if (!ownerDoc.exists) return { status: 400, body: { success: false, error: 'Selected milestone owner does not exist.' } };
+                        owner = { uid: ownerDoc.id, name: ownerDoc.data().name, role: ownerDoc.data().role };
+                        assignedOwner = { ...owner, milestoneLabel: milestone.label };
+                    }
+                }
+
+                const { milestone: updated, error } = updateMilestone(milestone, {
+                    plannedStart: req.body.plannedStart,
+                    plannedEnd: req.body.plannedEnd,
+                    status: req.body.status
+                }, owner);
+                if (error) return { status: 400, body: { success: false, error } };
+
+                const milestones = [...project.milestones];
+                milestones[index] = updated;
+                updates = { milestones };
+                activityType = 'project_milestone_updated';
+                activityDetail = `${updated.label}: ${updated.status.replace(/_/g, ' ')}` +
+                    `${updated.plannedStart || updated.plannedEnd ? `, planned ${updated.plannedStart || '?'} to ${updated.plannedEnd || '?'}` : ''}` +
+                    `${updated.ownerName ? `, owner ${updated.ownerName}` : ''}`;
+            } else if (action === 'set_status') {
+                const denied = authorize(req.user, 'project', 'set_status');
+                if (denied) return denied;
+                if (!PROJECT_STATUSES.includes(req.body.status)) {
+                    return { status: 400, body: { success: false, error: `status must be one of: ${PROJECT_STATUSES.join(', ')}` } };
+                }
+                updates = { status: req.body.status };
+                activityType = 'project_status_changed';
+                activityDetail = `Project status changed from ${project.status.replace(/_/g, ' ')} to ${req.body.status.replace(/_/g, ' ')}`;
+            } else {
+                return { status: 400, body: { success: false, error: 'Invalid action' } };
+            }
+
+            updates.version = currentVersion + 1;
+            updates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+            transaction.update(projectRef, updates);
+            projectActivity(transaction, req.user, activityType, activityDetail, id, project);
+            if (assignedOwner && assignedOwner.uid !== req.user.uid) {
+                transaction.set(db.collection('notifications').doc(), {
+                    type: 'milestone_assigned',
+                    recipientRole: assignedOwner.role,
+                    recipientUid: assignedOwner.uid,
+                    proposalId: project.proposalId,
+                    projectId: id,
+                    message: `${req.user.name} made you owner of ${assignedOwner.milestoneLabel} on ${project.projectName}`,
+                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                    isRead: false
+                });
+            }
+            return { status: 200, body: { success: true, message: 'Project updated', version: updates.version } };
+        });
+        return res.status(result.status).json(result.body);
+    } catch (error) {
+        console.error('Projects API error:', error);
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = allowCors(handler);
@@ -0,0 +1,134 @@
+const admin = require('./_firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { validateTemplate } = require('./_proposal-templates');
+const { authorize } = require('./_policy');
+const util = require('util');
+
+const db = admin.firestore();
+
+const allowCors = fn => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST,PUT,DELETE');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+// The template's client must exist; its name is stored alongside for display
+async function withClientName(template) {
+    if (!template.clientId) return { template: { ...template, clientName: null } };
+    const clientDoc = await db.collection('clients').doc(template.clientId).get();
+    if (!clientDoc.exists) return { error: 'Selected client does not exist.' };
+    return { template: { ...template, clientName: clientDoc.data().name } };
+}
+
+function templateActivity(user, type, details) {
+    return db.collection('activities').add({
+        type,
+        details,
+        performedByName: user.name,
+        performedByRole: user.role,
+        performedByUid: user.uid,
+        timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+// GET    /api/proposal-templates[?id=<id>]
+// POST   /api/proposal-templates { name, description, scopeOfWork, projectType, country, priority, timeline, projectLinks, clientId }
+// PUT    /api/proposal-templates?id=<id> { same fields }
+// DELETE /api/proposal-templates?id=<id>
+const handler = async (req, res) => {
+    try {
+        await util.promisify(verifyToken)(req, res);
+
+        // Parse JSON body for POST/PUT requests
+        if ((req.method === 'POST' || req.method === 'PUT') && req.headers['content-type'] === 'application/json') {
+            await new Promise((resolve) => {
+                const chunks = [];
+                req.on('data', (chunk) => chunks.push(chunk));
+                req.on('end', () => {
+                    try {
+                        const bodyBuffer = Buffer.concat(chunks);
+                        req.body = bodyBuffer.length > 0 ? JSON.parse(bodyBuffer.toString()) : {};
+                    } catch (e) {
+                        console.error("Error parsing JSON body:", e);
+                        req.body = {};
+                    }
+                    resolve();
+                });
+            });
+        }
+
+        if (req.method === 'GET') {
+            const { id } = req.query;
+            if (id) {
+                const doc = await db.collection('proposalTemplates').doc(id).get();
+                if (!doc.exists) return res.status(404).json({ success: false, error: 'Template not found' });
+                return res.status(200).json({ success: true, data: { id: doc.id, ...doc.data() } });
+            }
+            const snapshot = await db.collection('proposalTemplates').orderBy('name').get();
+            return res.status(200).json({ success: true, data: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) });
+        }
+
+        const denied = authorize(req.user, 'proposalTemplate', 'manage');
+        if (denied) return res.status(denied.status).json(denied.body);
+
+        if (req.method === 'POST' || req.method === 'PUT') {
+            const validated = validateTemplate(req.body);
+            if (validated.error) return res.status(400).json({ success: false, error: validated.error });
+            const { template, error } = await withClientName(validated.template);
+            if (error) return res.status(400).json({ success: false, error });
+
+            if (req.method === 'POST') {
+                const newTemplate = {
+                    ...template,
+                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                    createdByUid: req.user.uid,
+                    createdByName: req.user.name,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    updatedByName: req.user.name
+                };
+                const docRef = await db.collection('proposalTemplates').add(newTemplate);
+                await templateActivity(req.user, 'proposal_template_created', `Proposal template created: ${template.name}`);
+                return res.status(201).json({ success: true, data: { id: docRef.id, ...newTemplate } });
+            }
+
+            const { id } = req.query;
+            if (!id) return res.status(400).json({ success: false, error: 'Missing template ID' });
+            const templateRef = db.collection('proposalTemplates').doc(id);
+            if (!(await templateRef.get()).exists) return res.status(404).json({ success: false, error: 'Template not found' });
+
+            await templateRef.update({
+                ...template,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedByName: req.user.name
+            });
+            await templateActivity(req.user, 'proposal_template_updated', `Proposal template updated: ${template.name}`);
+            return res.status(200).json({ success: true, message: 'Template updated successfully' });
+        }
+
+        if (req.method === 'DELETE') {
+            // Proposals keep the template's name, so templates can go for good
+            const { id } = req.query;
+            if (!id) return res.status(400).json({ success: false, error: 'Missing template ID' });
+            const templateRef = db.collection('proposalTemplates').doc(id);
+            const doc = await templateRef.get();
+            if (!doc.exists) return res.status(404).json({ success: false, error: 'Template not found' });
+
+            await templateRef.delete();
+            await templateActivity(req.user, 'proposal_template_deleted', `Proposal template deleted: ${doc.data().name}`);
+            return res.status(200).json({ success: true, message: 'Template deleted' });
+        }
+
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    } catch (error) {
+        console.error('Proposal templates API error:', error);
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = allowCors(handler);
@@ -1,15 +1,676 @@
 const admin = require('./_firebase-admin');
 const { verifyToken } = require('../middleware/auth');
+const { TRANSITIONS, resolveTransition } = require('./_proposal-workflow');
+const { authorize, can, scopedToOwner, proposalContext } = require('./_policy');
+const { computeQuote, quoteMatches } = require('./_pricing');
+const { COUNTRIES, isEffectiveOn, todayIsoDate } = require('./_rate-cards');
+const { allocateQuoteNumber, formatQuoteNumber } = require('./_quote-numbers');
+const { getSetting } = require('./_settings');
+const { generateQuotation } = require('./_quotation');
+const { toSnapshot, diffSnapshots, writeVersionedUpdate } = require('./_proposal-versions');
+const { isTrashed, trashFields } = require('./_trash');
+const { parseProposalQuery, listProposals } = require('./_proposal-query');
+const { isSameClient, suggestClients, validateClient } = require('./_clients');
+const { ownerUidOf, ownerNameOf } = require('./_ownership');
+const { SLA_STAGES, stageSla, slaStatus } = require('./_sla');
+const { approvalRequirement, approvalProgress, approvalBlocker, currentRound } = require('./_approvals');
+const { buildLossOutcome, buildWonOutcome } = require('./_win-loss');
+const { submissionFollowUp, logFollowUp, followUpStatus } = require('./_follow-ups');
+const { buildProject, loadProjectSources } = require('./_projects');
+const { buildLineItemEstimation } = require('./_estimation');
+const { templateDefaults, parseCloneParts, cloneDefaults, estimationDraftOf, isCloneableFile, cloneFileRecord } = require('./_proposal-templates');
 const util = require('util');
 
 const db = admin.firestore();
-const bucket = admin.storage().bucket();
+
+// Actions that may be applied to many proposals in one PUT ({ ids: [...] })
+const BULK_ACTIONS = ['transfer_ownership', 'assign_estimator'];
+const MAX_BULK_IDS = 100;
+
+// Documents created before versioning was introduced are treated as version 1
+function getProposalVersion(proposal) {
+    return proposal.version || 1;
+}
+
+// Reads the version from an If-Match header ("3" or W/"3") or a body expectedVersion.
+// Returns null when neither is sent, undefined when the value is not a number.
+function parseExpectedVersion(ifMatch, expectedVersion) {
+    const raw = ifMatch !== undefined ? String(ifMatch).replace(/^W\//, '').replace(/"/g, '').trim() : expectedVersion;
+    if (raw === undefined || raw === null || raw === '' || raw === '*') return null;
+    const version = Number(raw);
+    return Number.isInteger(version) ? version : undefined;
+}
+
+// Resolves the client a proposal belongs to: the given clientId, otherwise an existing client whose
+// normalized name matches clientCompany, otherwise a new client. When the name only resembles existing
+// clients, the caller must pick one or confirm with createClient: true.
+// Returns { client } (client.isNew when created) or { status, body }. Works inside a transaction when given one.
+async function resolveClient({ clientId, clientCompany, country, createClient }, user, transaction = null) {
+    const read = ref => (transaction ? transaction.get(ref) : ref.get());
+
+    if (clientId) {
+        let clientDoc = await read(db.collection('clients').doc(clientId));
+        // A merged duplicate resolves to the client it was merged into
+        if (clientDoc.exists && clientDoc.data().mergedInto) {
+            clientDoc = await read(db.collection('clients').doc(clientDoc.data().mergedInto));
+        }
+        if (!clientDoc.exists) return { status: 400, body: { success: false, error: 'Selected client does not exist.' } };
+        return { client: { id: clientDoc.id, ...clientDoc.data() } };
+    }
+
+    const clientsSnapshot = await read(db.collection('clients'));
+    const clients = clientsSnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(client => !client.mergedInto);
+
+    const exact = clients.find(client => isSameClient(client, clientCompany));
+    if (exact) return { client: exact };
+
+    const suggestions = suggestClients(clientCompany, clients);
+    if (suggestions.length > 0 && !createClient) {
+        return {
+            status: 409,
+            body: {
+                success: false,
+                code: 'client_suggestions',
+                error: `"${clientCompany}" looks like an existing client. Pick one or confirm a new client.`,
+                suggestions: suggestions.map(({ client, score }) => ({ id: client.id, name: client.name, score }))
+            }
+        };
+    }
+
+    const { client, error } = validateClient({ name: clientCompany, billingCountry: COUNTRIES.includes(country) ? country : undefined });
+    if (error) return { status: 400, body: { success: false, error } };
+
+    const clientRef = db.collection('clients').doc();
+    const newClient = {
+        ...client,
+        aliases: [],
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        createdByUid: user.uid,
+        createdByName: user.name
+    };
+    if (transaction) transaction.set(clientRef, newClient);
+    else await clientRef.set(newClient);
+    return { client: { id: clientRef.id, ...newClient, isNew: true } };
+}
+
+// Proposal fields for the estimator working on it; all null when released
+function estimatorAssignment(uid, name, assignedBy) {
+    return {
+        assignedEstimatorUid: uid,
+        assignedEstimatorName: name,
+        assignedAt: uid ? new Date().toISOString() : null,
+        assignedByName: assignedBy ? assignedBy.name : null
+    };
+}
+
+// What the approval policy requires for this proposal, read inside the action's transaction
+async function loadApprovalRequirement(proposal, transaction) {
+    const policy = await getSetting('approvals', transaction);
+    const ratesSnapshot = await transaction.get(db.collection('exchangeRates'));
+    return approvalRequirement(proposal, policy, ratesSnapshot.docs.map(doc => doc.data()));
+}
+
+// Runs one workflow action on one proposal. Reads, validates and writes in a single transaction so
+// two people working the same proposal cannot silently overwrite each other; notifications and the
+// activity entry commit with it. Returns { status, body } for the HTTP response.
+async function runProposalAction(id, action, data, expected, user) {
+    const proposalRef = db.collection('proposals').doc(id);
+    return db.runTransaction(async (transaction) => {
+        const proposalDoc = await transaction.get(proposalRef);
+        if (!proposalDoc.exists || isTrashed(proposalDoc.data())) return { status: 404, body: { success: false, error: 'Proposal not found' } };
+
+        const proposal = proposalDoc.data();
+        const currentVersion = getProposalVersion(proposal);
+
+        // Checked before the version so a conflict never hands the proposal to someone who may not see it
+        const context = proposalContext(proposal);
+        const denied = authorize(user, 'proposal', 'update', context);
+        if (denied) return denied;
+
+        if (expected !== null && expected !== currentVersion) {
+            return {
+                status: 409,
+                body: {
+                    success: false,
+                    code: 'version_conflict',
+                    error: 'This proposal was changed by someone else since you opened it. Reload to see the latest version.',
+                    currentVersion,
+                    data: { id: proposalDoc.id, ...proposal, version: currentVersion }
+                }
+            };
+        }
+
+        // Snapshot of the current version, read now because transactions need all reads before writes
+        const baseVersionRef = proposalRef.collection('versions').doc(String(currentVersion));
+        const baseVersionDoc = await transaction.get(baseVersionRef);
+        const slaSettings = await getSetting('sla', transaction);
+
+        if (!TRANSITIONS.some(t => t.action === action)) {
+            return { status: 400, body: { success: false, error: `Invalid action: ${action}` } };
+        }
+        // Who may take the action on this proposal, and from which status
+        const actionDenied = authorize(user, 'proposal', action, context);
+        if (actionDenied) return actionDenied;
+
+        // A line-item estimation is expanded first: its derived flat fields are what add_estimation requires
+        // and replace any the client sent
+        if (action === 'add_estimation' && data.lineItems !== undefined) {
+            const built = buildLineItemEstimation(data.lineItems);
+            if (built.error) return { status: 400, body: { success: false, error: built.error } };
+            data = { ...data, ...built.estimation };
+        }
+
+        // Workflow check: the action's required data must be there
+        const check = resolveTransition(action, data);
+        if (!check.transition) {
+            return { status: check.status, body: { success: false, error: check.error } };
+        }
+
+        let updates = {};
+        let nextStatus = check.transition.to;
+        let activityDetail = '';
+        let changeLogDetail = null;
+        const notifications = [];
+
+        switch (action) {
+            case 'edit_proposal': {
+                // Changing the client goes through the same matching as creation, and so does a
+                // proposal from before clients existed, which gets its clientId on the way
+                let client = { id: proposal.clientId || null, name: proposal.clientCompany };
+                if (!proposal.clientId || (data.clientId ? data.clientId !== proposal.clientId : data.clientCompany.trim() !== proposal.clientCompany)) {
+                    const resolved = await resolveClient({
+                        clientId: data.clientId,
+                        clientCompany: data.clientCompany.trim(),
+                        country: data.country,
+                        createClient: data.createClient
+                    }, user, transaction);
+                    if (!resolved.client) return { status: resolved.status, body: resolved.body };
+                    client = resolved.client;
+                }
+                updates = {
+                    projectName: data.projectName,
+                    clientId: client.id,
+                    clientCompany: client.name,
+                    projectType: data.projectType,
+                    country: data.country,
+                    timeline: data.timeline,
+                    priority: data.priority,
+                    scopeOfWork: data.scopeOfWork,
+                    comments: data.comments || '',
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                };
+                activityDetail = `Proposal edited by ${user.name}`;
+                break;
+            }
+
+            case 'add_links':
+                // Allow adding/updating project links
+                updates = {
+                    projectLinks: data.links || [],
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                };
+                activityDetail = `Added ${data.links?.length || 0} project links`;
+                break;
+
+            case 'add_estimation': {
+                // Quote numbers are server-allocated once, at the first estimation
+                let { quoteNumber } = proposal;
+                if (!quoteNumber) {
+                    const { pattern } = await getSetting('quoteNumbers', transaction);
+                    const allocated = await allocateQuoteNumber(transaction, pattern);
+                    quoteNumber = allocated.quoteNumber;
+                    Object.assign(updates, {
+                        quoteNumber,
+                        quoteNumberParts: allocated.quoteNumberParts,
+                        quoteNumbers: [...(proposal.quoteNumbers || []), quoteNumber]
+                    });
+                }
+
+                const { quoteNumber: ignoredQuoteNumber, ...estimation } = data;
+                updates.estimation = {
+                    ...estimation,
+                    quoteNumber,
+                    estimatedBy: user.name,
+                    estimatedAt: new Date().toISOString()
+                };
+                activityDetail = `Estimation added: ${data.totalHours} hours, ${data.tonnage || 0} tons${data.lineItems ? ` from ${data.lineItems.length} line item(s)` : ''} (quote ${quoteNumber})`;
+                break;
+            }
+
+            case 'set_pricing': {
+                // Rates come from the chosen rate card unless the COO sent their own
+                let rateCardUsed = null;
+                const pricingInputs = { ...data };
+                if (data.rateCardId) {
+                    const rateCardDoc = await transaction.get(db.collection('rateCards').doc(data.rateCardId));
+                    if (!rateCardDoc.exists) {
+                        return { status: 400, body: { success: false, error: 'Selected rate card does not exist.' } };
+                    }
+                    const rateCard = rateCardDoc.data();
+                    if (!isEffectiveOn(rateCard, todayIsoDate())) {
+                        return { status: 400, body: { success: false, error: `Rate card '${rateCard.name}' is not in effect today.` } };
+                    }
+                    if (data.currency && rateCard.currency !== data.currency) {
+                        return { status: 400, body: { success: false, error: `Rate card '${rateCard.name}' is in ${rateCard.currency} but pricing is in ${data.currency}.` } };
+                    }
+                    const hasOwnRates = data.hourlyRate !== undefined || data.disciplineRates !== undefined || data.ratePerTon !== undefined;
+                    if (!hasOwnRates) {
+                        pricingInputs.disciplineRates = rateCard.rates;
+                        pricingInputs.ratePerTon = rateCard.ratePerTon;
+                    }
+                    const ratesOverridden = hasOwnRates && (
+                        Object.keys(rateCard.rates).some(key => parseFloat(data.disciplineRates?.[key] ?? data.hourlyRate) !== rateCard.rates[key]) ||
+                        (data.ratePerTon !== undefined && parseFloat(data.ratePerTon) !== rateCard.ratePerTon)
+                    );
+                    rateCardUsed = {
+                        id: rateCardDoc.id,
+                        name: rateCard.name,
+                        version: rateCard.version || 1,
+                        service: rateCard.service,
+                        country: rateCard.country,
+                        currency: rateCard.currency,
+                        ratesOverridden
+                    };
+                }
+
+                // The quote is computed from the stored estimation; client values are only cross-checked
+                const quote = computeQuote(proposal.estimation, pricingInputs);
+                if (quote.error) {
+                    return { status: 400, body: { success: false, error: quote.error } };
+                }
+                const { breakdown } = quote;
+                if (data.quoteValue !== undefined && data.quoteValue !== null && !quoteMatches(data.quoteValue, breakdown.quoteValue)) {
+                    return {
+                        status: 400,
+                        body: {
+                            success: false,
+                            code: 'quote_mismatch',
+                            error: `Quote value ${data.quoteValue} does not match the calculated ${breakdown.currency} ${breakdown.quoteValue}.`,
+                            breakdown
+                        }
+                    };
+                }
+
+                updates = {
+                    pricing: {
+                        quoteType: breakdown.quoteType,
+                        pricingBasis: breakdown.pricingBasis,
+                        hourlyRate: pricingInputs.hourlyRate !== undefined ? parseFloat(pricingInputs.hourlyRate) || 0 : null,
+                        disciplineRates: pricingInputs.disciplineRates || null,
+                        ratePerTon: pricingInputs.ratePerTon !== undefined && pricingInputs.ratePerTon !== null ? parseFloat(pricingInputs.ratePerTon) || 0 : null,
+                        rateCard: rateCardUsed,
+                        profitMargin: breakdown.profitMargin,
+                        currency: breakdown.currency,
+                        quoteValue: breakdown.quoteValue,
+                        breakdown,
+                        quoteNumber: proposal.quoteNumber || '',
+                        pricedBy: user.name,
+                        pricedAt: new Date().toISOString()
+                    }
+                };
+                // If COO updated the services, apply the change
+                if (data.updatedServices) {
+                    updates['estimation.services'] = data.updatedServices;
+                }
+                activityDetail = `Pricing set: ${breakdown.currency} ${breakdown.quoteValue} (${breakdown.quoteType}, ${breakdown.pricingBasis})`;
+                break;
+            }
+
+            case 'director_approve': {
+                const requirement = await loadApprovalRequirement(proposal, transaction);
+                const blocker = approvalBlocker(proposal, requirement, user);
+                if (blocker) return { status: blocker.status, body: { success: false, error: blocker.error, requirement } };
+
+                const approvals = [...(proposal.approvals || []), {
+                    uid: user.uid,
+                    name: user.name,
+                    role: user.role,
+                    decision: 'approved',
+                    comments: data.comments || '',
+                    at: new Date().toISOString(),
+                    round: currentRound(proposal)
+                }];
+                const progress = approvalProgress({ ...proposal, approvals }, requirement);
+                updates = { approvals };
+
+                // Not enough sign-offs yet: record this one and wait for the rest
+                if (!progress.satisfied) {
+                    nextStatus = null;
+                    activityDetail = `${user.name} approved (${progress.received} of ${progress.required} required from ${requirement.label})${data.comments ? ': ' + data.comments : ''}`;
+                    notifications.push({
+                        type: 'approval_pending',
+                        recipientRole: 'director',
+                        recipientUid: null,
+                        proposalId: id,
+                        message: `${proposal.projectName} needs ${progress.required - progress.received} more approval(s) from ${requirement.label}`,
+                        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                        isRead: false
+                    });
+                    break;
+                }
+
+                updates.directorApproval = {
+                    approved: true,
+                    ...data,
+                    approvedBy: progress.approvedBy.map(a => a.name).join(', '),
+                    approvedAt: new Date().toISOString(),
+                    comments: data.comments || '',
+                    level: requirement.level
+                };
+                activityDetail = `${user.name} approved proposal${progress.required > 1 ? ` (${progress.received} of ${progress.required})` : ''}${data.comments ? ': ' + data.comments : ''}`;
+                for (const role of ['bdm', 'estimator', 'coo']) {
+                    notifications.push({
+                        type: 'proposal_approved',
+                        recipientRole: role,
+                        recipientUid: role === 'bdm' ? ownerUidOf(proposal) : null, // Target the owning BDM
+                        proposalId: id,
+                        message: `${proposal.projectName} has been approved by ${updates.directorApproval.approvedBy}`,
+                        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                        isRead: false
+                    });
+                }
+                break;
+            }
+
+            case 'director_reject': {
+                // Anyone who could approve this quote can send it back instead
+                const requirement = await loadApprovalRequirement(proposal, transaction);
+                if (!requirement.approverRoles.includes(user.role)) {
+                    return { status: 403, body: { success: false, error: `Only ${requirement.label} can review this quote.`, requirement } };
+                }
+                updates = {
+                    approvals: [...(proposal.approvals || []), {
+                        uid: user.uid,
+                        name: user.name,
+                        role: user.role,
+                        decision: 'revision_requested',
+                        comments: data.comments,
+                        at: new Date().toISOString(),
+                        round: currentRound(proposal)
+                    }],
+                    directorApproval: {
+                        approved: false,
+                        ...data,
+                        rejectedBy: user.name,
+                        rejectedAt: new Date().toISOString(),
+                        comments: data.comments || '',
+                        requiresRevisionBy: data.requiresRevisionBy || 'estimator'
+                    }
+                };
+                activityDetail = `${user.name} requested revision: ${data.comments}`;
+                notifications.push({
+                    type: 'revision_required',
+                    recipientRole: data.requiresRevisionBy,
+                    // Target the owning BDM, or the estimator who did the estimation
+                    recipientUid: data.requiresRevisionBy === 'bdm' ? ownerUidOf(proposal) : (proposal.assignedEstimatorUid || null),
+                    proposalId: id,
+                    message: `Revision required for ${proposal.projectName}: ${data.comments}`,
+                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                    isRead: false
+                });
+                break;
+            }
+
+            case 'resubmit_after_revision': {
+                updates = {
+                    revisionHistory: [...(proposal.revisionHistory || []), {
+                        revisedBy: user.name,
+                        revisedAt: new Date().toISOString(),
+                        revisionNotes: data.notes
+                    }]
+                };
+                activityDetail = `Revision completed and resubmitted by ${user.name}`;
+
+                // Same sequence, next revision suffix; earlier numbers stay searchable
+                if (proposal.quoteNumberParts) {
+                    const quoteNumberParts = { ...proposal.quoteNumberParts, revision: proposal.quoteNumberParts.revision + 1 };
+                    const quoteNumber = formatQuoteNumber(quoteNumberParts);
+                    Object.assign(updates, {
+                        quoteNumber,
+                        quoteNumberParts,
+                        quoteNumbers: [...(proposal.quoteNumbers || []), quoteNumber],
+                        'estimation.quoteNumber': quoteNumber
+                    });
+                    if (proposal.pricing) updates['pricing.quoteNumber'] = quoteNumber;
+                    activityDetail += ` (quote ${quoteNumber})`;
+                }
+                break;
+            }
+
+            case 'submit_to_client': {
+                const followUpSettings = await getSetting('followUps', transaction);
+                updates = { followUp: { ...submissionFollowUp(todayIsoDate(), followUpSettings), method: data.method || null } };
+                activityDetail = `Proposal submitted to client${data.method ? ` via ${data.method}` : ''}. First follow-up due ${updates.followUp.nextContactOn}`;
+                break;
+            }
+
+            case 'log_follow_up': {
+                const logged = logFollowUp(proposal, data, await getSetting('followUps', transaction));
+                if (logged.error) return { status: 400, body: { success: false, error: logged.error } };
+                updates = { followUp: logged.followUp };
+                activityDetail = `Client follow-up by ${user.name}: ${logged.notes}. Next contact ${logged.followUp.nextContactOn}`;
+                changeLogDetail = `Follow-up logged; next contact ${logged.followUp.nextContactOn}`;
+                break;
+            }
+
+            case 'transfer_ownership': {
+                // The author (createdByUid) stays; only the responsible BDM changes
+                const newOwnerDoc = await transaction.get(db.collection('users').doc(data.newOwnerUid));
+                if (!newOwnerDoc.exists || newOwnerDoc.data().role !== 'bdm') {
+                    return { status: 400, body: { success: false, error: 'Proposals can only be transferred to a BDM.' } };
+                }
+                if (newOwnerDoc.id === ownerUidOf(proposal)) {
+                    return { status: 400, body: { success: false, error: `${newOwnerDoc.data().name} already owns this proposal.` } };
+                }
+                const newOwnerName = newOwnerDoc.data().name;
+                updates = { ownerUid: newOwnerDoc.id, ownerName: newOwnerName };
+                // A won proposal's project follows its BDM
+                if (proposal.projectId) {
+                    transaction.update(db.collection('projects').doc(proposal.projectId), { ownerUid: newOwnerDoc.id, ownerName: newOwnerName });
+                }
+                activityDetail = `Ownership transferred from ${ownerNameOf(proposal) || 'unassigned'} to ${newOwnerName}${data.reason ? `. Reason: ${data.reason}` : ''}`;
+                changeLogDetail = activityDetail;
+                notifications.push({
+                    type: 'proposal_transferred',
+                    recipientRole: 'bdm',
+                    recipientUid: newOwnerDoc.id,
+                    proposalId: id,
+                    message: `${user.name} transferred ${proposal.projectName} (${proposal.clientCompany}) to you`,
+                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                    isRead: false
+                });
+                break;
+            }
+
+            case 'assign_estimator': {
+                // Also used to reassign; the previous assignee is told the work moved
+                const estimatorDoc = await transaction.get(db.collection('users').doc(data.estimatorUid));
+                if (!estimatorDoc.exists || estimatorDoc.data().role !== 'estimator') {
+                    return { status: 400, body: { success: false, error: 'Estimation can only be assigned to an estimator.' } };
+                }
+                if (estimatorDoc.id === proposal.assignedEstimatorUid) {
+                    return { status: 400, body: { success: false, error: `${estimatorDoc.data().name} is already assigned to this proposal.` } };
+                }
+                const estimatorName = estimatorDoc.data().name;
+                updates = estimatorAssignment(estimatorDoc.id, estimatorName, user);
+                activityDetail = proposal.assignedEstimatorUid
+                    ? `Estimation reassigned from ${proposal.assignedEstimatorName} to ${estimatorName}`
+                    : `Estimation assigned to ${estimatorName}`;
+                changeLogDetail = activityDetail;
+                notifications.push({
+                    type: 'estimation_assigned',
+                    recipientRole: 'estimator',
+                    recipientUid: estimatorDoc.id,
+                    proposalId: id,
+                    message: `${user.name} assigned you the estimation for ${proposal.projectName} (${proposal.clientCompany})`,
+                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                    isRead: false
+                });
+                if (proposal.assignedEstimatorUid) {
+                    notifications.push({
+                        type: 'estimation_unassigned',
+                        recipientRole: 'estimator',
+                        recipientUid: proposal.assignedEstimatorUid,
+                        proposalId: id,
+                        message: `${proposal.projectName} was reassigned to ${estimatorName} by ${user.name}`,
+                        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                        isRead: false
+                    });
+                }
+                break;
+            }
+
+            case 'claim_estimation':
+                if (proposal.assignedEstimatorUid) {
+                    return {
+                        status: 409,
+                        body: {
+                            success: false,
+                            error: proposal.assignedEstimatorUid === user.uid
+                                ? 'You are already assigned to this proposal.'
+                                : `This proposal is already assigned to ${proposal.assignedEstimatorName}.`
+                        }
+                    };
+                }
+                updates = estimatorAssignment(user.uid, user.name, user);
+                activityDetail = `Estimation claimed by ${user.name}`;
+                changeLogDetail = activityDetail;
+                break;
+
+            case 'release_estimation':
+                if (!proposal.assignedEstimatorUid) {
+                    return { status: 400, body: { success: false, error: 'No estimator is assigned to this proposal.' } };
+                }
+                updates = estimatorAssignment(null, null, null);
+                activityDetail = `Estimation released by ${user.name} (was assigned to ${proposal.assignedEstimatorName})${data.reason ? `. Reason: ${data.reason}` : ''}`;
+                changeLogDetail = activityDetail;
+                if (proposal.assignedEstimatorUid !== user.uid) {
+                    notifications.push({
+                        type: 'estimation_unassigned',
+                        recipientRole: 'estimator',
+                        recipientUid: proposal.assignedEstimatorUid,
+                        proposalId: id,
+                        message: `${user.name} released you from ${proposal.projectName}; it is back in the estimation queue`,
+                        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                        isRead: false
+                    });
+                }
+                break;
+
+            case 'mark_job_won': {
+                const { outcome, error } = buildWonOutcome(data, proposal);
+                if (error) return { status: 400, body: { success: false, error } };
+                updates = {
+                    jobOutcome: {
+                        ...outcome,
+                        markedBy: user.name,
+                        markedAt: new Date().toISOString()
+                    }
+                };
+                activityDetail = `Job marked as WON by ${user.name}${outcome.variancePercent ? ` (final ${outcome.currency} ${outcome.finalValue}, ${outcome.variancePercent > 0 ? '+' : ''}${outcome.variancePercent}% vs quote)` : ''}`;
+
+                // The delivery project is created with the win, in the same transaction
+                const projectSources = await loadProjectSources(transaction, id);
+                if (!projectSources.exists) {
+                    transaction.set(projectSources.ref, buildProject(id, { ...proposal, ...updates }, projectSources.files, user));
+                }
+                updates.projectId = id;
+
+                // Notify COO and Director
+                for (const role of ['coo', 'director']) {
+                    notifications.push({
+                        type: 'job_won',
+                        recipientRole: role,
+                        recipientUid: null,
+                        proposalId: id,
+                        message: `🎉 Job WON: ${proposal.projectName} for ${proposal.clientCompany}`,
+                        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                        isRead: false
+                    });
+                }
+                break;
+            }
+
+            case 'mark_job_lost': {
+                const { outcome, error } = buildLossOutcome(data, await getSetting('lossReasons', transaction), proposal);
+                if (error) return { status: 400, body: { success: false, error } };
+                updates = {
+                    jobOutcome: {
+                        ...outcome,
+                        markedBy: user.name,
+                        markedAt: new Date().toISOString()
+                    }
+                };
+                activityDetail = `Job marked as LOST by ${user.name}. Reason: ${outcome.reason}${outcome.competitor ? ` (won by ${outcome.competitor.name})` : ''}`;
+
+                // Notify COO and Director
+                for (const role of ['coo', 'director']) {
+                    notifications.push({
+                        type: 'job_lost',
+                        recipientRole: role,
+                        recipientUid: null,
+                        proposalId: id,
+                        message: `Job LOST: ${proposal.projectName}. Reason: ${outcome.reason}`,
+                        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                        isRead: false
+                    });
+                }
+                break;
+            }
+
+            default:
+                return { status: 400, body: { success: false, error: 'Invalid action' } };
+        }
+
+        if (nextStatus) {
+            updates.status = nextStatus;
+        }
+
+        updates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+        const savedAt = admin.firestore.Timestamp.now();
+
+        // Entering a new status restarts the SLA clock; a priority change moves the current stage's due time
+        if (updates.status && updates.status !== proposal.status) {
+            updates.sla = stageSla(updates.status, proposal.priority, slaSettings, savedAt.toDate());
+            // Each trip to approval starts a new round of sign-offs
+            if (updates.status === 'pending_director_approval') updates.approvalRound = (proposal.approvalRound || 0) + 1;
+        } else if (updates.priority && updates.priority !== proposal.priority && SLA_STAGES[proposal.status]) {
+            const enteredAt = proposal.sla?.status === proposal.status ? new Date(proposal.sla.enteredAt) : savedAt.toDate();
+            updates.sla = stageSla(proposal.status, updates.priority, slaSettings, enteredAt);
+        }
+
+        // Immutable snapshot of the resulting proposal. Array fields above are written as
+        // explicit arrays (not arrayUnion) so the snapshot matches what is stored.
+        const { version } = writeVersionedUpdate(transaction, proposalRef, proposal, baseVersionDoc, updates, {
+            action,
+            details: changeLogDetail,
+            user,
+            savedAt
+        });
+        notifications.forEach(notification => transaction.set(db.collection('notifications').doc(), notification));
+        transaction.set(db.collection('activities').doc(), {
+            type: `proposal_${action}`,
+            details: activityDetail,
+            performedByName: user.name,
+            performedByRole: user.role,
+            performedByUid: user.uid, // Add UID for activity isolation
+            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+            proposalId: id,
+            projectName: proposal.projectName,
+            clientCompany: proposal.clientCompany
+        });
+        return { status: 200, body: { success: true, message: 'Proposal updated successfully', version, status: updates.status || proposal.status } };
+    });
+}
 
 const allowCors = fn => async (req, res) => {
     res.setHeader('Access-Control-Allow-Credentials', true);
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST,PUT,DELETE');
-    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization, If-Match');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
     if (req.method === 'OPTIONS') {
         res.status(200).end();
         return;
@@ -40,43 +701,168 @@ const handler = async (req, res) => {
         }
 
         if (req.method === 'GET') {
-            const { id } = req.query;
+            const { id, quoteNumber, versions, version, from, to } = req.query;
+
+            // Lookup by any quote number the proposal has carried, including earlier revisions
+            if (quoteNumber) {
+                const snapshot = await db.collection('proposals').where('quoteNumbers', 'array-contains', quoteNumber.trim()).get();
+                const matches = snapshot.docs
+                    .map(doc => ({ id: doc.id, ...doc.data(), version: getProposalVersion(doc.data()) }))
+                    .filter(p => !isTrashed(p))
+                    .filter(p => can(req.user, 'proposal', 'view', proposalContext(p)));
+                if (matches.length === 0) {
+                    return res.status(404).json({ success: false, error: `No proposal found with quote number ${quoteNumber}` });
+                }
+                return res.status(200).json({ success: true, data: matches });
+            }
+
             if (id) {
                 const doc = await db.collection('proposals').doc(id).get();
-                if (!doc.exists) return res.status(404).json({ success: false, error: 'Proposal not found' });
+                if (!doc.exists || isTrashed(doc.data())) return res.status(404).json({ success: false, error: 'Proposal not found' });
                 
                 const proposalData = doc.data();
                 
-                // BDM isolation: Check if BDM can access this proposal
-                if (req.user.role === 'bdm' && proposalData.createdByUid !== req.user.uid) {
-                    return res.status(403).json({ success: false, error: 'Access denied. You can only view your own proposals.' });
-                }
+                const denied = authorize(req.user, 'proposal', 'view', proposalContext(proposalData));
+                if (denied) return res.status(denied.status).json(denied.body);
                 
-                return res.status(200).json({ success: true, data: { id: doc.id, ...proposalData } });
-            }
-            
-            // Get all proposals with BDM isolation
-            let query = db.collection('proposals').orderBy('createdAt', 'desc');
-            
-            // BDMs only see their own proposals
-            if (req.user.role === 'bdm') {
-                query = query.where('createdByUid', '==', req.user.uid);
+                // Version history: ?versions=true lists them, ?version=N returns one snapshot,
+                // ?from=A&to=B returns the field-level diff between two versions
+                const versionsRef = doc.ref.collection('versions');
+                if (versions) {
+                    const versionsSnapshot = await versionsRef.orderBy('version', 'desc').get();
+                    const data = versionsSnapshot.docs.map(v => {
+                        const { snapshot, ...meta } = v.data();
+                        return meta;
+                    });
+                    return res.status(200).json({ success: true, data });
+                }
+                if (version) {
+                    const versionDoc = await versionsRef.doc(String(version)).get();
+                    if (!versionDoc.exists) return res.status(404).json({ success: false, error: `Version ${version} not found` });
+                    return res.status(200).json({ success: true, data: versionDoc.data() });
+                }
+                if (from || to) {
+                    if (!from || !to) return res.status(400).json({ success: false, error: 'Both from and to versions are required for a diff' });
+                    const [fromDoc, toDoc] = await Promise.all([versionsRef.doc(String(from)).get(), versionsRef.doc(String(to)).get()]);
+                    if (!fromDoc.exists || !toDoc.exists) {
+                        return res.status(404).json({ success: false, error: `Version ${!fromDoc.exists ? from : to} not found` });
+                    }
+                    return res.status(200).json({
+                        success: true,
+                        data: {
+                            from: { version: fromDoc.data().version, action: fromDoc.data().action, savedAt: fromDoc.data().savedAt, savedByName: fromDoc.data().savedByName },
+                            to: { version: toDoc.data().version, action: toDoc.data().action, savedAt: toDoc.data().savedAt, savedByName: toDoc.data().savedByName },
+                            changes: diffSnapshots(fromDoc.data().snapshot, toDoc.data().snapshot)
+                        }
+                    });
+                }
+
+                const currentVersion = getProposalVersion(proposalData);
+                const slaState = slaStatus(proposalData, await getSetting('sla'));
+                const followUpState = followUpStatus(proposalData, await getSetting('followUps'));
+
+                // Who still has to sign off, and whether the caller can
+                let approvalStatus = null;
+                if (proposalData.status === 'pending_director_approval') {
+                    const [policy, ratesSnapshot] = await Promise.all([getSetting('approvals'), db.collection('exchangeRates').get()]);
+                    const requirement = approvalRequirement(proposalData, policy, ratesSnapshot.docs.map(r => r.data()));
+                    const { received, required, approvedBy } = approvalProgress(proposalData, requirement);
+                    const blocker = approvalBlocker(proposalData, requirement, req.user);
+                    approvalStatus = {
+                        ...requirement,
+                        received,
+                        required,
+                        approvedBy,
+                        canApprove: !blocker,
+                        canRequestRevision: requirement.approverRoles.includes(req.user.role),
+                        blocker: blocker ? blocker.error : null
+                    };
+                }
+
+                res.setHeader('ETag', `"${currentVersion}"`);
+                return res.status(200).json({ success: true, data: { id: doc.id, ...proposalData, version: currentVersion, slaState, approvalStatus, followUpState } });
             }
             
-            const snapshot = await query.get();
-            const proposals = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            return res.status(200).json({ success: true, data: proposals });
+            // List: filters, sort and cursor come from the query string (see _proposal-query.js)
+            const { options, error } = parseProposalQuery(req.query);
+            if (error) return res.status(400).json({ success: false, error });
+
+            // BDMs only see the proposals they own
+            const owner = scopedToOwner(req.user, 'proposal', 'view') ? req.user.uid : null;
+            const { items, total, nextCursor } = await listProposals(db, options, owner);
+            return res.status(200).json({
+                success: true,
+                data: items.map(p => ({ ...p, version: getProposalVersion(p) })),
+                total,
+                nextCursor,
+                limit: options.limit
+            });
         }
 
         if (req.method === 'POST') {
-            const { projectName, clientCompany, scopeOfWork, projectType, priority, country, timeline, projectLinks, comments } = req.body;
-            if (!projectName || !clientCompany || !scopeOfWork) {
+            // A proposal can start from a template or as a clone of one the caller can see; fields
+            // the body leaves out are taken from there
+            const { templateId, cloneFrom } = req.body;
+            const createDenied = authorize(req.user, 'proposal', cloneFrom ? 'clone' : 'create');
+            if (createDenied) return res.status(createDenied.status).json(createDenied.body);
+            if (templateId && cloneFrom) {
+                return res.status(400).json({ success: false, error: 'Start from a template or from an existing proposal, not both.' });
+            }
+            let defaults = {};
+            let origin = {};
+            let source = null;
+            let cloneParts = [];
+            if (templateId) {
+                const templateDoc = await db.collection('proposalTemplates').doc(templateId).get();
+                if (!templateDoc.exists) return res.status(400).json({ success: false, error: 'Selected template does not exist.' });
+                defaults = templateDefaults(templateDoc.data());
+                origin = { templateId, templateName: templateDoc.data().name };
+            }
+            if (cloneFrom) {
+                const parsed = parseCloneParts(req.body.parts);
+                if (parsed.error) return res.status(400).json({ success: false, error: parsed.error });
+                cloneParts = parsed.parts;
+                const sourceDoc = await db.collection('proposals').doc(cloneFrom).get();
+                // Proposals the caller may not clone are reported as missing, as they are not theirs to see
+                if (!sourceDoc.exists || isTrashed(sourceDoc.data()) || !can(req.user, 'proposal', 'clone', proposalContext(sourceDoc.data()))) {
+                    return res.status(404).json({ success: false, error: 'Proposal to clone not found' });
+                }
+                source = { id: sourceDoc.id, ...sourceDoc.data() };
+                defaults = cloneDefaults(source, cloneParts);
+                origin = {
+                    clonedFrom: { proposalId: source.id, projectName: source.projectName, quoteNumber: source.quoteNumber || null, parts: cloneParts },
+                    ...(cloneParts.includes('estimation') && source.estimation ? { estimationDraft: estimationDraftOf(source, source.id) } : {})
+                };
+            }
+            const body = { ...defaults, ...Object.fromEntries(Object.entries(req.body).filter(([, value]) => value !== undefined)) };
+
+            const { projectName, clientCompany, clientId, createClient, scopeOfWork, projectType, priority, country, timeline, projectLinks, comments } = body;
+            if (!projectName || !(clientCompany || clientId) || !scopeOfWork) {
                 return res.status(400).json({ success: false, error: 'Missing required fields' });
             }
 
+            const resolved = await resolveClient({ clientId, clientCompany: (clientCompany || '').trim(), country, createClient }, req.user);
+            if (!resolved.client) return res.status(resolved.status).json(resolved.body);
+            const { client } = resolved;
+            if (client.isNew) {
+                await db.collection('activities').add({
+                    type: 'client_created',
+                    details: `Client created: ${client.name}`,
+                    performedByName: req.user.name,
+                    performedByRole: req.user.role,
+                    performedByUid: req.user.uid,
+                    timestamp: admin.firestore.FieldValue.serverTimestamp()
+                });
+            }
+
+            const createdDetail = source
+                ? `Proposal cloned from ${source.projectName}${source.quoteNumber ? ` (${source.quoteNumber})` : ''}${cloneParts.length ? ` with ${cloneParts.join(', ')}` : ''}`
+                : origin.templateName ? `Proposal created from template ${origin.templateName}` : 'Proposal created';
+            const slaSettings = await getSetting('sla');
             const newProposal = {
                 projectName: projectName.trim(),
-                clientCompany: clientCompany.trim(),
+                clientId: client.id,
+                clientCompany: client.name,
                 projectType: projectType || 'Commercial',
                 scopeOfWork: scopeOfWork.trim(),
                 comments: comments ? comments.trim() : '', // NEW: Add comments field
@@ -84,22 +870,56 @@ const handler = async (req, res) => {
                 country: country || 'Not Specified',
                 timeline: timeline || 'Not Specified',
                 projectLinks: projectLinks || [], // Store project links
+                ...origin,
                 status: 'pending_estimation',
+                sla: stageSla('pending_estimation', priority || 'Medium', slaSettings, new Date()),
+                version: 1,
                 createdAt: admin.firestore.FieldValue.serverTimestamp(),
                 createdByUid: req.user.uid,
                 createdByName: req.user.name,
-                changeLog: [{ timestamp: new Date().toISOString(), action: 'created', performedByName: req.user.name, details: 'Proposal created' }]
+                ownerUid: req.user.uid,
+                ownerName: req.user.name,
+                changeLog: [{ timestamp: new Date().toISOString(), action: 'created', performedByName: req.user.name, details: createdDetail }]
             };
 
             const docRef = await db.collection('proposals').add(newProposal);
+            await docRef.collection('versions').doc('1').set({
+                version: 1,
+                action: 'created',
+                status: newProposal.status,
+                changedFields: [],
+                snapshot: toSnapshot({ ...newProposal, createdAt: admin.firestore.Timestamp.now() }),
+                savedAt: admin.firestore.Timestamp.now(),
+                savedByName: req.user.name,
+                savedByRole: req.user.role,
+                savedByUid: req.user.uid
+            });
+
+            // Cloned file references point at the source's bucket objects; nothing is re-uploaded
+            let copiedFiles = 0;
+            if (source && cloneParts.includes('files')) {
+                const filesSnapshot = await db.collection('files').where('proposalId', '==', source.id).get();
+                const batch = db.batch();
+                for (const fileDoc of filesSnapshot.docs) {
+                    const file = { id: fileDoc.id, ...fileDoc.data() };
+                    if (!isCloneableFile(file, cloneParts)) continue;
+                    batch.set(db.collection('files').doc(), cloneFileRecord(file, docRef.id, req.user, admin.firestore.FieldValue.serverTimestamp()));
+                    copiedFiles++;
+                }
+                if (copiedFiles > 0) await batch.commit();
+            }
+
             await db.collection('activities').add({
                 type: 'proposal_created',
-                details: `New proposal created: ${projectName} for ${clientCompany}`,
+                details: `New proposal created: ${projectName} for ${client.name}` +
+                    (source ? ` (cloned from ${source.projectName}${copiedFiles ? `, ${copiedFiles} file reference(s) copied` : ''})` : '') +
+                    (origin.templateName ? ` (from template ${origin.templateName})` : ''),
                 performedByName: req.user.name,
                 performedByRole: req.user.role,
                 performedByUid: req.user.uid, // Add UID for activity isolation
                 timestamp: admin.firestore.FieldValue.serverTimestamp(),
-                proposalId: docRef.id, projectName, clientCompany
+                proposalId: docRef.id, projectName, clientCompany: client.name,
+                ...(source ? { clonedFromProposalId: source.id } : {})
             });
             // Return new proposal with its ID for file linking on frontend
             return res.status(201).json({ success: true, data: { id: docRef.id, ...newProposal } });
@@ -107,242 +927,54 @@ const handler = async (req, res) => {
 
         if (req.method === 'PUT') {
             const { id } = req.query;
-            const { action, data } = req.body;
+            const { action, data = {}, expectedVersion, ids } = req.body;
+
+            // Bulk: the same action on several proposals, each in its own transaction; one failure
+            // does not undo the others, so every proposal's outcome is reported
+            if (!id && Array.isArray(ids)) {
+                if (!BULK_ACTIONS.includes(action)) {
+                    return res.status(400).json({ success: false, error: `Bulk updates support: ${BULK_ACTIONS.join(', ')}` });
+                }
+                if (ids.length === 0 || ids.length > MAX_BULK_IDS) {
+                    return res.status(400).json({ success: false, error: `Select between 1 and ${MAX_BULK_IDS} proposals.` });
+                }
+                const results = [];
+                for (const proposalId of [...new Set(ids)]) {
+                    const result = await runProposalAction(proposalId, action, data, null, req.user);
+                    results.push({ id: proposalId, status: result.status, error: result.body.error || null, version: result.body.version || null });
+                }
+                const failed = results.filter(r => r.status !== 200).length;
+                return res.status(200).json({
+                    success: failed === 0,
+                    message: `${results.length - failed} of ${results.length} proposal(s) updated`,
+                    results
+                });
+            }
+
             if (!id || !action) return res.status(400).json({ success: false, error: 'Missing proposal ID or action' });
 
-            const proposalRef = db.collection('proposals').doc(id);
-            const proposalDoc = await proposalRef.get();
-            if (!proposalDoc.exists) return res.status(404).json({ success: false, error: 'Proposal not found' });
-            
-            const proposal = proposalDoc.data();
-            
-            // BDM isolation: Check if BDM can modify this proposal
-            if (req.user.role === 'bdm' && proposal.createdByUid !== req.user.uid && action !== 'view') {
-                return res.status(403).json({ success: false, error: 'Access denied. You can only modify your own proposals.' });
+            // Optimistic concurrency: callers send the version they last read (If-Match header or expectedVersion)
+            const expected = parseExpectedVersion(req.headers['if-match'], expectedVersion);
+            if (expected === undefined) {
+                return res.status(400).json({ success: false, error: 'If-Match / expectedVersion must be a proposal version number' });
             }
-            
-            let updates = {};
-            let activityDetail = '';
-
-            switch (action) {
-                case 'edit_proposal':
-                    // NEW: Allow BDM to edit proposal only if status is pending_estimation
-                    if (req.user.role !== 'bdm') {
-                        return res.status(403).json({ success: false, error: 'Only BDMs can edit proposals' });
-                    }
-                    if (proposal.status !== 'pending_estimation') {
-                        return res.status(403).json({ 
-                            success: false, 
-                            error: 'Cannot edit proposal after estimation has been submitted' 
-                        });
-                    }
-                    
-                    updates = {
-                        projectName: data.projectName,
-                        clientCompany: data.clientCompany,
-                        projectType: data.projectType,
-                        country: data.country,
-                        timeline: data.timeline,
-                        priority: data.priority,
-                        scopeOfWork: data.scopeOfWork,
-                        comments: data.comments || '',
-                        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-                    };
-                    activityDetail = `Proposal edited by ${req.user.name}`;
-                    break;
-                
-                case 'add_links':
-                    // Allow adding/updating project links
-                    updates = { 
-                        projectLinks: data.links || [],
-                        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-                    };
-                    activityDetail = `Added ${data.links?.length || 0} project links`;
-                    break;
-                    
-                case 'add_estimation':
-                    updates = { 
-                        status: 'pending_pricing', 
-                        estimation: { 
-                            ...data, 
-                            quoteNumber: data.quoteNumber || '', // MODIFIED: Added quoteNumber
-                            estimatedBy: req.user.name, 
-                            estimatedAt: new Date().toISOString() 
-                        } 
-                    };
-                    activityDetail = `Estimation added: ${data.totalHours} hours, ${data.tonnage || 0} tons`;
-                    break;
-                    
-                case 'set_pricing':
-                    updates = { 
-                        status: 'pending_director_approval', 
-                        pricing: { 
-                            ...data, 
-                            quoteNumber: data.quoteNumber || '', // MODIFIED: Added quoteNumber
-                            pricedBy: req.user.name, 
-                            pricedAt: new Date().toISOString() 
-                        } 
-                    };
-                    // If COO updated the services, apply the change
-                    if (data.updatedServices) {
-                        updates['estimation.services'] = data.updatedServices;
-                    }
-                    activityDetail = `Pricing set: ${data.currency || 'USD'} ${data.quoteValue}`;
-                    break;
-                    
-                case 'director_approve':
-                    updates = { 
-                        status: 'approved', 
-                        directorApproval: { 
-                            approved: true, 
-                            ...data, 
-                            approvedBy: req.user.name, 
-                            approvedAt: new Date().toISOString(),
-                            comments: data.comments || ''
-                        } 
-                    };
-                    activityDetail = `Director approved proposal${data.comments ? ': ' + data.comments : ''}`;
-                    const stakeholders = ['bdm', 'estimator', 'coo'];
-                    for (const role of stakeholders) {
-                        await db.collection('notifications').add({
-                            type: 'proposal_approved',
-                            recipientRole: role,
-                            recipientUid: role === 'bdm' ? proposal.createdByUid : null, // Target specific BDM
-                            proposalId: id,
-                            message: `${proposal.projectName} has been approved by Director`,
-                            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                            isRead: false
-                        });
-                    }
-                    break;
-                    
-                case 'director_reject':
-                    updates = { 
-                        status: 'revision_required',
-                        directorApproval: { 
-                            approved: false, 
-                            ...data, 
-                            rejectedBy: req.user.name, 
-                            rejectedAt: new Date().toISOString(),
-                            comments: data.comments || '',
-                            requiresRevisionBy: data.requiresRevisionBy || 'estimator'
-                        } 
-                    };
-                    activityDetail = `Director requested revision: ${data.comments}`;
-                    await db.collection('notifications').add({
-                        type: 'revision_required',
-                        recipientRole: data.requiresRevisionBy,
-                        recipientUid: data.requiresRevisionBy === 'bdm' ? proposal.createdByUid : null, // Target specific BDM
-                        proposalId: id,
-                        message: `Revision required for ${proposal.projectName}: ${data.comments}`,
-                        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                        isRead: false
-                    });
-                    break;
-                    
-                case 'resubmit_after_revision':
-                    updates = {
-                        status: 'pending_director_approval',
-                        revisionHistory: admin.firestore.FieldValue.arrayUnion({
-                            revisedBy: req.user.name,
-                            revisedAt: new Date().toISOString(),
-                            revisionNotes: data.notes
-                        })
-                    };
-                    activityDetail = `Revision completed and resubmitted by ${req.user.name}`;
-                    break;
-                    
-                case 'submit_to_client':
-                    updates = { status: 'submitted_to_client' };
-                    activityDetail = `Proposal submitted to client`;
-                    break;
-                    
-                case 'mark_job_won':
-                    // NEW: Mark job as won
-                    if (req.user.role !== 'bdm') {
-                        return res.status(403).json({ success: false, error: 'Only BDMs can mark jobs as won/lost' });
-                    }
-                    
-                    updates = { 
-                        status: 'won',
-                        jobOutcome: {
-                            result: 'won',
-                            markedBy: req.user.name,
-                            markedAt: new Date().toISOString()
-                        }
-                    };
-                    activityDetail = `Job marked as WON by ${req.user.name}`;
-                    
-                    // Notify COO and Director
-                    for (const role of ['coo', 'director']) {
-                        await db.collection('notifications').add({
-                            type: 'job_won',
-                            recipientRole: role,
-                            recipientUid: null,
-                            proposalId: id,
-                            message: `🎉 Job WON: ${proposal.projectName} for ${proposal.clientCompany}`,
-                            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                            isRead: false
-                        });
-                    }
-                    break;
-                    
-                case 'mark_job_lost':
-                    // NEW: Mark job as lost
-                    if (req.user.role !== 'bdm') {
-                        return res.status(403).json({ success: false, error: 'Only BDMs can mark jobs as won/lost' });
-                    }
-                    
-                    updates = { 
-                        status: 'lost',
-                        jobOutcome: {
-                            result: 'lost',
-                            reason: data.reason || 'Not specified',
-                            markedBy: req.user.name,
-                            markedAt: new Date().toISOString()
-                        }
-                    };
-                    activityDetail = `Job marked as LOST by ${req.user.name}. Reason: ${data.reason || 'Not specified'}`;
-                    
-                    // Notify COO and Director
-                    for (const role of ['coo', 'director']) {
-                        await db.collection('notifications').add({
-                            type: 'job_lost',
-                            recipientRole: role,
-                            recipientUid: null,
-                            proposalId: id,
-                            message: `Job LOST: ${proposal.projectName}. Reason: ${data.reason || 'Not specified'}`,
-                            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                            isRead: false
-                        });
-                    }
-                    break;
-                    
-                default:
-                    return res.status(400).json({ success: false, error: 'Invalid action' });
+            const proposalRef = db.collection('proposals').doc(id);
+            const result = await runProposalAction(id, action, data, expected, req.user);
+
+            // Every completed approval (including re-approvals after a revision) produces a fresh quotation PDF.
+            // The approval stands even if rendering fails; the BDM can regenerate from the detail view.
+            if (result.status === 200 && action === 'director_approve' && result.body.status === 'approved') {
+                try {
+                    const approvedDoc = await proposalRef.get();
+                    result.body.quotation = await generateQuotation(id, { ...approvedDoc.data(), version: result.body.version }, req.user);
+                } catch (quotationError) {
+                    console.error('Quotation generation failed:', quotationError);
+                    result.body.quotationError = quotationError.message;
+                }
             }
-            
-            updates.changeLog = admin.firestore.FieldValue.arrayUnion({ 
-                timestamp: new Date().toISOString(), 
-                action: action, 
-                performedByName: req.user.name, 
-                details: `${action.replace(/_/g, ' ')} completed` 
-            });
-            updates.updatedAt = admin.firestore.FieldValue.serverTimestamp();
-            
-            await proposalRef.update(updates);
-            await db.collection('activities').add({
-                type: `proposal_${action}`, 
-                details: activityDetail, 
-                performedByName: req.user.name, 
-                performedByRole: req.user.role,
-                performedByUid: req.user.uid, // Add UID for activity isolation
-                timestamp: admin.firestore.FieldValue.serverTimestamp(), 
-                proposalId: id, 
-                projectName: proposal.projectName, 
-                clientCompany: proposal.clientCompany
-            });
-            return res.status(200).json({ success: true, message: 'Proposal updated successfully' });
+
+            if (result.body.version) res.setHeader('ETag', `"${result.body.version}"`);
+            return res.status(result.status).json(result.body);
         }
 
         if (req.method === 'DELETE') {
@@ -351,35 +983,39 @@ const handler = async (req, res) => {
 
             const proposalRef = db.collection('proposals').doc(id);
             const proposalDoc = await proposalRef.get();
-            if (!proposalDoc.exists) return res.status(4404).json({ success: false, error: 'Proposal not found' });
+            if (!proposalDoc.exists || isTrashed(proposalDoc.data())) return res.status(404).json({ success: false, error: 'Proposal not found' });
             
             const proposalData = proposalDoc.data();
-            // Security check: Only creator or a director can delete
-            if (proposalData.createdByUid !== req.user.uid && req.user.role !== 'director') {
-                return res.status(403).json({ success: false, error: 'You are not authorized to delete this proposal.' });
-            }
+            // Only the owner or a director can delete
+            const denied = authorize(req.user, 'proposal', 'delete', proposalContext(proposalData));
+            if (denied) return res.status(denied.status).json(denied.body);
 
-            // Delete associated files from storage and Firestore
+            // Move the proposal and its files to the trash; bucket objects stay until the purge
+            const { retentionDays } = await getSetting('trash');
             const filesSnapshot = await db.collection('files').where('proposalId', '==', id).get();
-            if (!filesSnapshot.empty) {
-                const deletePromises = filesSnapshot.docs.map(doc => {
-                    const fileData = doc.data();
-                    // Skip deletion for link-type files (they don't have physical storage)
-                    if (fileData.fileType === 'link') {
-                        return doc.ref.delete(); // Just delete from Firestore
-                    }
-                    return Promise.all([
-                        bucket.file(fileData.fileName).delete(), // Delete from storage
-                        doc.ref.delete() // Delete from 'files' collection
-                    ]);
-                });
-                await Promise.all(deletePromises);
-            }
-
-            // Delete the proposal document
-            await proposalRef.delete();
+            const batch = db.batch();
+            batch.update(proposalRef, trashFields(req.user));
+            filesSnapshot.docs
+                .filter(doc => !isTrashed(doc.data()))
+                .forEach(doc => batch.update(doc.ref, { ...trashFields(req.user), deletedWithProposal: true }));
+            batch.set(db.collection('activities').doc(), {
+                type: 'proposal_trashed',
+                details: `Proposal moved to trash: ${proposalData.projectName} (restorable for ${retentionDays} days)`,
+                performedByName: req.user.name,
+                performedByRole: req.user.role,
+                performedByUid: req.user.uid,
+                timestamp: admin.firestore.FieldValue.serverTimestamp(),
+                proposalId: id,
+                projectName: proposalData.projectName,
+                clientCompany: proposalData.clientCompany
+            });
+            await batch.commit();
             
-            return res.status(200).json({ success: true, message: 'Proposal and all associated files deleted successfully' });
+            return res.status(200).json({
+                success: true,
+                message: `Proposal moved to trash. It can be restored for ${retentionDays} days.`,
+                retentionDays
+            });
         }
 
         return res.status(405).json({ success: false, error: 'Method not allowed' });
@@ -0,0 +1,67 @@
+const admin = require('./_firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { authorize, proposalContext } = require('./_policy');
+const { generateQuotation } = require('./_quotation');
+const { isTrashed } = require('./_trash');
+const util = require('util');
+
+const db = admin.firestore();
+
+const allowCors = fn => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+// POST /api/quotations?proposalId=  generates a new quotation PDF for an approved proposal.
+// Quotations are also generated automatically on every Director approval (see api/proposals.js).
+const handler = async (req, res) => {
+    try {
+        await util.promisify(verifyToken)(req, res);
+
+        const { proposalId } = req.query;
+        if (!proposalId) return res.status(400).json({ success: false, error: 'Missing proposal ID' });
+
+        const proposalDoc = await db.collection('proposals').doc(proposalId).get();
+        if (!proposalDoc.exists || isTrashed(proposalDoc.data())) return res.status(404).json({ success: false, error: 'Proposal not found' });
+        const proposal = proposalDoc.data();
+
+        const context = proposalContext(proposal);
+        const denied = authorize(req.user, 'quotation', 'view', context);
+        if (denied) return res.status(denied.status).json(denied.body);
+
+        if (req.method === 'GET') {
+            const snapshot = await db.collection('files')
+                .where('proposalId', '==', proposalId)
+                .where('fileType', '==', 'quotation')
+                .orderBy('uploadedAt', 'desc')
+                .get();
+            const quotations = snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .filter(file => !isTrashed(file));
+            return res.status(200).json({ success: true, data: quotations });
+        }
+
+        if (req.method === 'POST') {
+            // Only after Director approval
+            const generateDenied = authorize(req.user, 'quotation', 'generate', context);
+            if (generateDenied) return res.status(generateDenied.status).json(generateDenied.body);
+
+            const quotation = await generateQuotation(proposalId, { ...proposal, version: proposal.version || 1 }, req.user);
+            return res.status(201).json({ success: true, data: quotation, message: 'Quotation generated successfully' });
+        }
+
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    } catch (error) {
+        console.error('Quotations API error:', error);
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = allowCors(handler);
@@ -0,0 +1,198 @@
+const admin = require('./_firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { validateRateCard, findMatchingRateCard, todayIsoDate } = require('./_rate-cards');
+const { isTrashed } = require('./_trash');
+const { authorize } = require('./_policy');
+const util = require('util');
+
+const db = admin.firestore();
+
+const allowCors = fn => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST,PUT,DELETE');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+const handler = async (req, res) => {
+    try {
+        await util.promisify(verifyToken)(req, res);
+
+        // Parse JSON body for POST/PUT requests
+        if ((req.method === 'POST' || req.method === 'PUT') && req.headers['content-type'] === 'application/json') {
+            await new Promise((resolve) => {
+                const chunks = [];
+                req.on('data', (chunk) => chunks.push(chunk));
+                req.on('end', () => {
+                    try {
+                        const bodyBuffer = Buffer.concat(chunks);
+                        req.body = bodyBuffer.length > 0 ? JSON.parse(bodyBuffer.toString()) : {};
+                    } catch (e) {
+                        console.error("Error parsing JSON body:", e);
+                        req.body = {};
+                    }
+                    resolve();
+                });
+            });
+        }
+
+        if (req.method === 'GET') {
+            const denied = authorize(req.user, 'rateCard', 'view');
+            if (denied) return res.status(denied.status).json(denied.body);
+
+            const { id, versions, proposalId, currency } = req.query;
+
+            if (id) {
+                const doc = await db.collection('rateCards').doc(id).get();
+                if (!doc.exists) return res.status(404).json({ success: false, error: 'Rate card not found' });
+
+                const rateCard = { id: doc.id, ...doc.data() };
+                if (versions) {
+                    const versionsSnapshot = await doc.ref.collection('versions').orderBy('version', 'desc').get();
+                    rateCard.versions = versionsSnapshot.docs.map(v => v.data());
+                }
+                return res.status(200).json({ success: true, data: rateCard });
+            }
+
+            const snapshot = await db.collection('rateCards').orderBy('name').get();
+            const rateCards = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+            // Matching card for a proposal's services/country, used to prefill pricing
+            if (proposalId) {
+                const proposalDoc = await db.collection('proposals').doc(proposalId).get();
+                if (!proposalDoc.exists || isTrashed(proposalDoc.data())) return res.status(404).json({ success: false, error: 'Proposal not found' });
+                const proposal = proposalDoc.data();
+
+                const match = findMatchingRateCard(rateCards, {
+                    services: proposal.estimation?.services || [],
+                    country: proposal.country,
+                    currency: currency || null,
+                    date: todayIsoDate()
+                });
+                return res.status(200).json({ success: true, data: match });
+            }
+
+            return res.status(200).json({ success: true, data: rateCards });
+        }
+
+        const denied = authorize(req.user, 'rateCard', 'manage');
+        if (denied) return res.status(denied.status).json(denied.body);
+
+        if (req.method === 'POST') {
+            const { rateCard, error } = validateRateCard(req.body);
+            if (error) return res.status(400).json({ success: false, error });
+
+            const newRateCard = {
+                ...rateCard,
+                active: true,
+                version: 1,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                createdByUid: req.user.uid,
+                createdByName: req.user.name,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedByName: req.user.name
+            };
+
+            const docRef = db.collection('rateCards').doc();
+            const batch = db.batch();
+            batch.set(docRef, newRateCard);
+            // Every version is kept so proposals priced with an older version stay auditable
+            batch.set(docRef.collection('versions').doc('1'), {
+                ...rateCard,
+                version: 1,
+                savedAt: new Date().toISOString(),
+                savedByName: req.user.name
+            });
+            batch.set(db.collection('activities').doc(), {
+                type: 'rate_card_created',
+                details: `Rate card created: ${rateCard.name} (${rateCard.service}, ${rateCard.country}, ${rateCard.currency})`,
+                performedByName: req.user.name,
+                performedByRole: req.user.role,
+                performedByUid: req.user.uid,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+            await batch.commit();
+
+            return res.status(201).json({ success: true, data: { id: docRef.id, ...newRateCard } });
+        }
+
+        if (req.method === 'PUT') {
+            const { id } = req.query;
+            if (!id) return res.status(400).json({ success: false, error: 'Missing rate card ID' });
+
+            const { rateCard, error } = validateRateCard(req.body);
+            if (error) return res.status(400).json({ success: false, error });
+
+            const rateCardRef = db.collection('rateCards').doc(id);
+            const version = await db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(rateCardRef);
+                if (!doc.exists) return null;
+
+                const nextVersion = (doc.data().version || 1) + 1;
+                transaction.update(rateCardRef, {
+                    ...rateCard,
+                    version: nextVersion,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    updatedByName: req.user.name
+                });
+                transaction.set(rateCardRef.collection('versions').doc(String(nextVersion)), {
+                    ...rateCard,
+                    version: nextVersion,
+                    savedAt: new Date().toISOString(),
+                    savedByName: req.user.name
+                });
+                return nextVersion;
+            });
+            if (version === null) return res.status(404).json({ success: false, error: 'Rate card not found' });
+
+            await db.collection('activities').add({
+                type: 'rate_card_updated',
+                details: `Rate card updated: ${rateCard.name} (now version ${version})`,
+                performedByName: req.user.name,
+                performedByRole: req.user.role,
+                performedByUid: req.user.uid,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            return res.status(200).json({ success: true, message: 'Rate card updated successfully', version });
+        }
+
+        if (req.method === 'DELETE') {
+            // Rate cards are deactivated, never deleted: priced proposals reference their versions
+            const { id } = req.query;
+            if (!id) return res.status(400).json({ success: false, error: 'Missing rate card ID' });
+
+            const rateCardRef = db.collection('rateCards').doc(id);
+            const doc = await rateCardRef.get();
+            if (!doc.exists) return res.status(404).json({ success: false, error: 'Rate card not found' });
+
+            await rateCardRef.update({
+                active: false,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedByName: req.user.name
+            });
+            await db.collection('activities').add({
+                type: 'rate_card_deactivated',
+                details: `Rate card deactivated: ${doc.data().name}`,
+                performedByName: req.user.name,
+                performedByRole: req.user.role,
+                performedByUid: req.user.uid,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            return res.status(200).json({ success: true, message: 'Rate card deactivated' });
+        }
+
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    } catch (error) {
+        console.error('Rate cards API error:', error);
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = allowCors(handler);
@@ -0,0 +1,93 @@
+const admin = require('./_firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { SETTINGS, getSetting } = require('./_settings');
+const { authorize, can } = require('./_policy');
+const util = require('util');
+
+const db = admin.firestore();
+
+const allowCors = fn => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PUT');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+const handler = async (req, res) => {
+    try {
+        await util.promisify(verifyToken)(req, res);
+
+        // Parse JSON body for PUT requests
+        if (req.method === 'PUT' && req.headers['content-type'] === 'application/json') {
+            await new Promise((resolve) => {
+                const chunks = [];
+                req.on('data', (chunk) => chunks.push(chunk));
+                req.on('end', () => {
+                    try {
+                        const bodyBuffer = Buffer.concat(chunks);
+                        req.body = bodyBuffer.length > 0 ? JSON.parse(bodyBuffer.toString()) : {};
+                    } catch (e) {
+                        console.error("Error parsing JSON body:", e);
+                        req.body = {};
+                    }
+                    resolve();
+                });
+            });
+        }
+
+        const { key } = req.query;
+        if (key && !SETTINGS[key]) {
+            return res.status(404).json({ success: false, error: `Unknown setting '${key}'` });
+        }
+
+        if (req.method === 'GET') {
+            if (key) {
+                const value = await getSetting(key);
+                return res.status(200).json({ success: true, data: { ...value, editable: can(req.user, 'setting', 'edit') } });
+            }
+
+            const entries = await Promise.all(Object.keys(SETTINGS).map(async k => [k, await getSetting(k)]));
+            return res.status(200).json({ success: true, data: Object.fromEntries(entries) });
+        }
+
+        if (req.method === 'PUT') {
+            if (!key) return res.status(400).json({ success: false, error: 'Missing setting key' });
+
+            const setting = SETTINGS[key];
+            const denied = authorize(req.user, 'setting', 'edit', { key });
+            if (denied) return res.status(denied.status).json(denied.body);
+
+            const { value, error } = setting.validate(req.body || {});
+            if (error) return res.status(400).json({ success: false, error });
+
+            await db.collection('settings').doc(key).set({
+                ...value,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                updatedByName: req.user.name
+            }, { merge: true });
+
+            await db.collection('activities').add({
+                type: 'settings_updated',
+                details: `Settings '${key}' updated`,
+                performedByName: req.user.name,
+                performedByRole: req.user.role,
+                performedByUid: req.user.uid,
+                timestamp: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            return res.status(200).json({ success: true, message: 'Settings updated successfully', data: value });
+        }
+
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    } catch (error) {
+        console.error('Settings API error:', error);
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = allowCors(handler);
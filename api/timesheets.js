@@ -0,0 +1,222 @@
+const admin = require('./_firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { TIMESHEET_STATUSES, EDITABLE_STATUSES, isWeekStart, timesheetId, validateEntries } = require('./_timesheets');
+const { authorize, can, proposalContext } = require('./_policy');
+const util = require('util');
+
+const db = admin.firestore();
+
+const allowCors = fn => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PUT');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+// The sheet as stored, or an empty draft when nothing was logged that week yet
+function sheetOf(doc, user, weekStart) {
+    if (doc.exists) return { id: doc.id, ...doc.data() };
+    return { id: timesheetId(user.uid, weekStart), uid: user.uid, userName: user.name, userRole: user.role, weekStart, status: 'draft', entries: [], totalHours: 0 };
+}
+
+function timesheetActivity(transaction, user, type, details, sheet) {
+    transaction.set(db.collection('activities').doc(), {
+        type,
+        details,
+        performedByName: user.name,
+        performedByRole: user.role,
+        performedByUid: user.uid,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+        timesheetId: sheet.id,
+        proposalId: null
+    });
+}
+
+// GET /api/timesheets?week=YYYY-MM-DD[&uid=<uid>]    one week (Monday) of the caller's sheet, or anyone's for COO/Director
+// GET /api/timesheets?status=submitted                sheets waiting for approval (COO/Director)
+// PUT /api/timesheets?week=YYYY-MM-DD { action: 'save' | 'submit', entries }
+// PUT /api/timesheets?id=<sheetId> { action: 'approve' | 'reject', comments }
+const handler = async (req, res) => {
+    try {
+        await util.promisify(verifyToken)(req, res);
+
+        // Parse JSON body for PUT requests
+        if (req.method === 'PUT' && req.headers['content-type'] === 'application/json') {
+            await new Promise((resolve) => {
+                const chunks = [];
+                req.on('data', (chunk) => chunks.push(chunk));
+                req.on('end', () => {
+                    try {
+                        const bodyBuffer = Buffer.concat(chunks);
+                        req.body = bodyBuffer.length > 0 ? JSON.parse(bodyBuffer.toString()) : {};
+                    } catch (e) {
+                        console.error("Error parsing JSON body:", e);
+                        req.body = {};
+                    }
+                    resolve();
+                });
+            });
+        }
+
+        if (req.method === 'GET') {
+            const { week, uid, status } = req.query;
+
+            if (status) {
+                const denied = authorize(req.user, 'timesheet', 'review');
+                if (denied) return res.status(denied.status).json(denied.body);
+                if (!TIMESHEET_STATUSES.includes(status)) {
+                    return res.status(400).json({ success: false, error: `status must be one of: ${TIMESHEET_STATUSES.join(', ')}` });
+                }
+                const snapshot = await db.collection('timesheets').where('status', '==', status).get();
+                const sheets = snapshot.docs
+                    .map(doc => ({ id: doc.id, ...doc.data(), canReview: can(req.user, 'timesheet', 'review', { ownerUid: doc.data().uid }) }))
+                    .sort((a, b) => a.weekStart.localeCompare(b.weekStart) || (a.userName || '').localeCompare(b.userName || ''));
+                return res.status(200).json({ success: true, data: sheets });
+            }
+
+            if (!isWeekStart(week)) {
+                return res.status(400).json({ success: false, error: 'week must be the Monday of the week, in YYYY-MM-DD format.' });
+            }
+            const denied = authorize(req.user, 'timesheet', 'view', { ownerUid: uid || req.user.uid });
+            if (denied) return res.status(denied.status).json(denied.body);
+            const owner = uid && uid !== req.user.uid ? { uid, name: null, role: null } : req.user;
+            const doc = await db.collection('timesheets').doc(timesheetId(owner.uid, week)).get();
+            return res.status(200).json({ success: true, data: sheetOf(doc, owner, week) });
+        }
+
+        if (req.method !== 'PUT') {
+            return res.status(405).json({ success: false, error: 'Method not allowed' });
+        }
+
+        const { action } = req.body;
+
+        // The owner saves and submits their own week
+        if (action === 'save' || action === 'submit') {
+            const { week } = req.query;
+            if (!isWeekStart(week)) {
+                return res.status(400).json({ success: false, error: 'week must be the Monday of the week, in YYYY-MM-DD format.' });
+            }
+            const entries = Array.isArray(req.body.entries) ? req.body.entries : [];
+            const sheetRef = db.collection('timesheets').doc(timesheetId(req.user.uid, week));
+
+            const result = await db.runTransaction(async (transaction) => {
+                const sheetDoc = await transaction.get(sheetRef);
+                const sheet = sheetOf(sheetDoc, req.user, week);
+                if (!EDITABLE_STATUSES.includes(sheet.status)) {
+                    return { status: 409, body: { success: false, error: `This week is ${sheet.status} and can no longer be changed.` } };
+                }
+
+                const proposalIds = [...new Set(entries.map(e => e?.proposalId).filter(id => typeof id === 'string' && id))];
+                const proposalDocs = proposalIds.length ? await transaction.getAll(...proposalIds.map(id => db.collection('proposals').doc(id))) : [];
+                const proposalsById = Object.fromEntries(proposalDocs
+                    // Trashed proposals stay in so the entries already saved against them are kept
+                    .filter(doc => doc.exists)
+                    // BDM isolation applies to time logging too
+                    .filter(doc => can(req.user, 'timesheet', 'log_hours', proposalContext(doc.data())))
+                    .map(doc => [doc.id, doc.data()]));
+
+                const validated = validateEntries(entries, week, proposalsById, sheet.entries || []);
+                if (validated.error) return { status: 400, body: { success: false, error: validated.error } };
+                if (action === 'submit' && validated.entries.length === 0) {
+                    return { status: 400, body: { success: false, error: 'Log some hours before submitting the week.' } };
+                }
+
+                const updates = {
+                    uid: req.user.uid,
+                    userName: req.user.name,
+                    userRole: req.user.role,
+                    weekStart: week,
+                    entries: validated.entries,
+                    totalHours: validated.totalHours,
+                    status: action === 'submit' ? 'submitted' : sheet.status,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                };
+                if (action === 'submit') {
+                    updates.submittedAt = new Date().toISOString();
+                    timesheetActivity(transaction, req.user, 'timesheet_submitted', `Timesheet for the week of ${week} submitted: ${validated.totalHours} hours`, sheet);
+                    transaction.set(db.collection('notifications').doc(), {
+                        type: 'timesheet_submitted',
+                        recipientRole: 'coo',
+                        recipientUid: null,
+                        proposalId: null,
+                        timesheetId: sheet.id,
+                        message: `${req.user.name} submitted ${validated.totalHours} hours for the week of ${week}`,
+                        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                        isRead: false
+                    });
+                }
+                transaction.set(sheetRef, updates, { merge: true });
+                return {
+                    status: 200,
+                    body: {
+                        success: true,
+                        message: action === 'submit' ? 'Timesheet submitted for approval' : 'Timesheet saved',
+                        data: { id: sheet.id, status: updates.status, entries: updates.entries, totalHours: updates.totalHours }
+                    }
+                };
+            });
+            return res.status(result.status).json(result.body);
+        }
+
+        if (action === 'approve' || action === 'reject') {
+            const denied = authorize(req.user, 'timesheet', 'review');
+            if (denied) return res.status(denied.status).json(denied.body);
+            const { id } = req.query;
+            if (!id) return res.status(400).json({ success: false, error: 'Timesheet id is required.' });
+            const comments = typeof req.body.comments === 'string' ? req.body.comments.trim() : '';
+            if (action === 'reject' && !comments) {
+                return res.status(400).json({ success: false, error: 'Say what needs correcting when sending a timesheet back.' });
+            }
+
+            const sheetRef = db.collection('timesheets').doc(id);
+            const result = await db.runTransaction(async (transaction) => {
+                const sheetDoc = await transaction.get(sheetRef);
+                if (!sheetDoc.exists) return { status: 404, body: { success: false, error: 'Timesheet not found' } };
+                const sheet = { id: sheetDoc.id, ...sheetDoc.data() };
+                if (sheet.status !== 'submitted') {
+                    return { status: 409, body: { success: false, error: `Only submitted timesheets can be reviewed; this one is ${sheet.status}.` } };
+                }
+                const reviewDenied = authorize(req.user, 'timesheet', 'review', { ownerUid: sheet.uid });
+                if (reviewDenied) return reviewDenied;
+
+                const approved = action === 'approve';
+                transaction.update(sheetRef, {
+                    status: approved ? 'approved' : 'rejected',
+                    reviewedByUid: req.user.uid,
+                    reviewedByName: req.user.name,
+                    reviewedAt: new Date().toISOString(),
+                    reviewComments: comments,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+                timesheetActivity(transaction, req.user, approved ? 'timesheet_approved' : 'timesheet_rejected',
+                    `Timesheet of ${sheet.userName} for the week of ${sheet.weekStart} ${approved ? 'approved' : `sent back: ${comments}`}`, sheet);
+                transaction.set(db.collection('notifications').doc(), {
+                    type: approved ? 'timesheet_approved' : 'timesheet_rejected',
+                    recipientRole: sheet.userRole,
+                    recipientUid: sheet.uid,
+                    proposalId: null,
+                    timesheetId: sheet.id,
+                    message: approved
+                        ? `${req.user.name} approved your timesheet for the week of ${sheet.weekStart}`
+                        : `${req.user.name} sent back your timesheet for the week of ${sheet.weekStart}: ${comments}`,
+                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                    isRead: false
+                });
+                return { status: 200, body: { success: true, message: approved ? 'Timesheet approved' : 'Timesheet sent back for correction' } };
+            });
+            return res.status(result.status).json(result.body);
+        }
+
+        return res.status(400).json({ success: false, error: 'Invalid action' });
+    } catch (error) {
+        console.error('Timesheets API error:', error);
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = allowCors(handler);
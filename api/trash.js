@@ -0,0 +1,136 @@
+const admin = require('./_firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { ownerUidOf } = require('./_ownership');
+const { authorize, can } = require('./_policy');
+const { restoreFields, restoreDeadline, purgeExpiredTrash } = require('./_trash');
+const { getSetting } = require('./_settings');
+const util = require('util');
+
+const db = admin.firestore();
+
+const allowCors = fn => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST,DELETE');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+// Owners (proposal owner / file uploader) and Directors may see and restore trashed records
+function recordOwnerUid(type, record) {
+    return type === 'proposal' ? ownerUidOf(record) : record.uploadedByUid;
+}
+
+const handler = async (req, res) => {
+    try {
+        await util.promisify(verifyToken)(req, res);
+        const { retentionDays } = await getSetting('trash');
+
+        // GET: trashed proposals and files visible to the caller, with their restore deadline
+        if (req.method === 'GET') {
+            const trashedSince = admin.firestore.Timestamp.fromMillis(0);
+            const [proposalsSnapshot, filesSnapshot] = await Promise.all([
+                db.collection('proposals').where('deletedAt', '>', trashedSince).get(),
+                db.collection('files').where('deletedAt', '>', trashedSince).get()
+            ]);
+
+            const toItem = type => doc => {
+                const data = doc.data();
+                return {
+                    id: doc.id,
+                    type,
+                    name: type === 'proposal' ? data.projectName : data.originalName,
+                    clientCompany: data.clientCompany || null,
+                    proposalId: type === 'file' ? data.proposalId : doc.id,
+                    fileType: data.fileType || null,
+                    deletedAt: data.deletedAt,
+                    deletedBy: data.deletedBy,
+                    deletedWithProposal: !!data.deletedWithProposal,
+                    restoreUntil: restoreDeadline(data.deletedAt, retentionDays).toISOString(),
+                    ownerUid: recordOwnerUid(type, data)
+                };
+            };
+
+            const items = [
+                ...proposalsSnapshot.docs.map(toItem('proposal')),
+                // Files trashed along with a proposal are restored with it, not one by one
+                ...filesSnapshot.docs.map(toItem('file')).filter(item => !item.deletedWithProposal)
+            ].filter(item => can(req.user, 'trash', 'view', { ownerUid: item.ownerUid }));
+
+            return res.status(200).json({ success: true, data: items, retentionDays });
+        }
+
+        // POST ?type=proposal|file&id=  restores a trashed record within the retention window
+        if (req.method === 'POST') {
+            const { type, id } = req.query;
+            if (!['proposal', 'file'].includes(type) || !id) {
+                return res.status(400).json({ success: false, error: 'Specify type (proposal or file) and id to restore' });
+            }
+
+            const ref = db.collection(type === 'proposal' ? 'proposals' : 'files').doc(id);
+            const doc = await ref.get();
+            if (!doc.exists || !doc.data().deletedAt) {
+                return res.status(404).json({ success: false, error: `No trashed ${type} with that ID` });
+            }
+            const record = doc.data();
+
+            const denied = authorize(req.user, 'trash', 'restore', {
+                ownerUid: recordOwnerUid(type, record),
+                type,
+                owner: type === 'proposal' ? 'proposal creator' : 'uploader'
+            });
+            if (denied) return res.status(denied.status).json(denied.body);
+            if (new Date() > restoreDeadline(record.deletedAt, retentionDays)) {
+                return res.status(409).json({ success: false, error: `The ${retentionDays}-day restore window for this ${type} has passed.` });
+            }
+
+            const batch = db.batch();
+            batch.update(ref, restoreFields());
+
+            if (type === 'proposal') {
+                const filesSnapshot = await db.collection('files').where('proposalId', '==', id).get();
+                filesSnapshot.docs
+                    .filter(fileDoc => fileDoc.data().deletedWithProposal)
+                    .forEach(fileDoc => batch.update(fileDoc.ref, restoreFields()));
+            } else if (record.proposalId) {
+                const proposalDoc = await db.collection('proposals').doc(record.proposalId).get();
+                if (!proposalDoc.exists || proposalDoc.data().deletedAt) {
+                    return res.status(409).json({ success: false, error: 'This file belongs to a proposal that is in the trash. Restore the proposal first.' });
+                }
+            }
+
+            const name = type === 'proposal' ? record.projectName : record.originalName;
+            batch.set(db.collection('activities').doc(), {
+                type: `${type}_restored`,
+                details: `${type === 'proposal' ? 'Proposal' : 'File'} restored from trash: ${name}`,
+                performedByName: req.user.name,
+                performedByRole: req.user.role,
+                performedByUid: req.user.uid,
+                timestamp: admin.firestore.FieldValue.serverTimestamp(),
+                proposalId: type === 'proposal' ? id : record.proposalId || null
+            });
+            await batch.commit();
+
+            return res.status(200).json({ success: true, message: `${type === 'proposal' ? 'Proposal' : 'File'} restored successfully` });
+        }
+
+        // DELETE: Director runs the purge now instead of waiting for the scheduled job
+        if (req.method === 'DELETE') {
+            const denied = authorize(req.user, 'trash', 'purge');
+            if (denied) return res.status(denied.status).json(denied.body);
+            const purged = await purgeExpiredTrash(retentionDays);
+            return res.status(200).json({ success: true, data: purged, message: `Purged ${purged.proposals} proposal(s) and ${purged.files} file(s)` });
+        }
+
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    } catch (error) {
+        console.error('Trash API error:', error);
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = allowCors(handler);
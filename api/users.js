@@ -0,0 +1,50 @@
+const admin = require('./_firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { ROLES, authorize } = require('./_policy');
+const util = require('util');
+
+const db = admin.firestore();
+
+const allowCors = fn => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+// GET /api/users?role=bdm
+const handler = async (req, res) => {
+    try {
+        await util.promisify(verifyToken)(req, res);
+
+        if (req.method !== 'GET') {
+            return res.status(405).json({ success: false, error: 'Method not allowed' });
+        }
+        const denied = authorize(req.user, 'user', 'list');
+        if (denied) return res.status(denied.status).json(denied.body);
+
+        const { role } = req.query;
+        if (role && !ROLES.includes(role)) {
+            return res.status(400).json({ success: false, error: `role must be one of: ${ROLES.join(', ')}` });
+        }
+
+        let query = db.collection('users');
+        if (role) query = query.where('role', '==', role);
+        const snapshot = await query.get();
+        const users = snapshot.docs
+            .map(doc => ({ uid: doc.id, name: doc.data().name, email: doc.data().email || null, role: doc.data().role }))
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+        return res.status(200).json({ success: true, data: users });
+    } catch (error) {
+        console.error('Users API error:', error);
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = allowCors(handler);
@@ -0,0 +1,62 @@
+const admin = require('./_firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { analyzeVariance } = require('./_timesheets');
+const { isTrashed } = require('./_trash');
+const { authorize } = require('./_policy');
+const util = require('util');
+
+const db = admin.firestore();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const allowCors = fn => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+// GET /api/variance?from=YYYY-MM-DD&to=YYYY-MM-DD
+// Estimated hours against approved timesheet hours (logged between from and to) for won proposals,
+// per proposal, estimator, project type and service, overall and per discipline.
+const handler = async (req, res) => {
+    try {
+        await util.promisify(verifyToken)(req, res);
+
+        if (req.method !== 'GET') {
+            return res.status(405).json({ success: false, error: 'Method not allowed' });
+        }
+        const denied = authorize(req.user, 'report', 'variance');
+        if (denied) return res.status(denied.status).json(denied.body);
+
+        const { from, to } = req.query;
+        if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+            return res.status(400).json({ success: false, error: 'from and to must be dates in YYYY-MM-DD format.' });
+        }
+
+        const snapshot = await db.collection('timesheets').where('status', '==', 'approved').get();
+        const entries = snapshot.docs
+            .flatMap(doc => doc.data().entries || [])
+            .filter(entry => (!from || entry.date >= from) && (!to || entry.date <= to));
+
+        const proposalIds = [...new Set(entries.map(entry => entry.proposalId))];
+        const proposalDocs = proposalIds.length ? await db.getAll(...proposalIds.map(id => db.collection('proposals').doc(id))) : [];
+        const proposals = proposalDocs
+            .filter(doc => doc.exists)
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(p => !isTrashed(p));
+
+        const analysis = analyzeVariance(proposals, entries);
+        return res.status(200).json({ success: true, data: { ...analysis, from: from || null, to: to || null } });
+    } catch (error) {
+        console.error('Variance API error:', error);
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = allowCors(handler);
@@ -0,0 +1,73 @@
+const admin = require('./_firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { getSetting } = require('./_settings');
+const { analyzeOutcomes } = require('./_win-loss');
+const { isTrashed } = require('./_trash');
+const { getOwnedProposalDocs } = require('./_ownership');
+const { authorize, scopedToOwner } = require('./_policy');
+const util = require('util');
+
+const db = admin.firestore();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const allowCors = fn => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+// GET /api/win-loss?from=YYYY-MM-DD&to=YYYY-MM-DD
+// Won/lost proposals (by outcome date) broken down by loss reason, competitor, client, country,
+// project type and BDM. BDMs only see their own proposals.
+const handler = async (req, res) => {
+    try {
+        await util.promisify(verifyToken)(req, res);
+
+        if (req.method !== 'GET') {
+            return res.status(405).json({ success: false, error: 'Method not allowed' });
+        }
+        const denied = authorize(req.user, 'report', 'win_loss');
+        if (denied) return res.status(denied.status).json(denied.body);
+
+        const { from, to } = req.query;
+        if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+            return res.status(400).json({ success: false, error: 'from and to must be dates in YYYY-MM-DD format.' });
+        }
+
+        const [docs, lossReasons, { reportingCurrency }, ratesSnapshot] = await Promise.all([
+            scopedToOwner(req.user, 'report', 'win_loss')
+                ? getOwnedProposalDocs(db, req.user.uid, query => query.where('status', 'in', ['won', 'lost']))
+                : db.collection('proposals').where('status', 'in', ['won', 'lost']).get().then(snapshot => snapshot.docs),
+            getSetting('lossReasons'),
+            getSetting('reporting'),
+            db.collection('exchangeRates').get()
+        ]);
+
+        const proposals = docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(p => !isTrashed(p))
+            .filter(p => {
+                const decidedOn = String(p.jobOutcome?.markedAt || '').slice(0, 10);
+                return (!from || decidedOn >= from) && (!to || decidedOn <= to);
+            });
+
+        const analysis = analyzeOutcomes(proposals, {
+            lossReasons,
+            rates: ratesSnapshot.docs.map(doc => doc.data()),
+            reportingCurrency
+        });
+        return res.status(200).json({ success: true, data: { ...analysis, from: from || null, to: to || null } });
+    } catch (error) {
+        console.error('Win/loss API error:', error);
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = allowCors(handler);
@@ -0,0 +1,104 @@
+const admin = require('./_firebase-admin');
+const { verifyToken } = require('../middleware/auth');
+const { ESTIMATION_STATUSES } = require('./_proposal-workflow');
+const { getSetting } = require('./_settings');
+const { slaStatus } = require('./_sla');
+const { isTrashed } = require('./_trash');
+const { authorize } = require('./_policy');
+const util = require('util');
+
+const db = admin.firestore();
+
+const PRIORITY_RANK = { High: 0, Medium: 1, Low: 2 };
+
+const allowCors = fn => async (req, res) => {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization');
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+    return await fn(req, res);
+};
+
+// Highest priority first, then the earliest due date, then the oldest proposal
+function compareQueueItems(a, b) {
+    return (PRIORITY_RANK[a.priority] ?? PRIORITY_RANK.Medium) - (PRIORITY_RANK[b.priority] ?? PRIORITY_RANK.Medium) ||
+        (a.dueAt || '9999').localeCompare(b.dueAt || '9999') ||
+        (a.createdAtMs - b.createdAtMs);
+}
+
+// GET /api/work-queue?assignee=me|unassigned|<uid>
+// The estimation queue: proposals waiting for an estimation or an estimator's revision, with who is
+// working on each. Without assignee, estimators get their own work plus unclaimed proposals and
+// COO/Director get everything.
+const handler = async (req, res) => {
+    try {
+        await util.promisify(verifyToken)(req, res);
+
+        if (req.method !== 'GET') {
+            return res.status(405).json({ success: false, error: 'Method not allowed' });
+        }
+        const denied = authorize(req.user, 'estimationQueue', 'view');
+        if (denied) return res.status(denied.status).json(denied.body);
+
+        const [snapshot, slaSettings] = await Promise.all([
+            db.collection('proposals').where('status', 'in', ESTIMATION_STATUSES).get(),
+            getSetting('sla')
+        ]);
+
+        const now = new Date();
+        let items = snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(p => !isTrashed(p))
+            // Revisions sent back to the BDM are not estimation work
+            .filter(p => p.status !== 'revision_required' || (p.directorApproval?.requiresRevisionBy || 'estimator') === 'estimator')
+            .map(p => {
+                const { dueAt, overdue, hoursOverdue } = slaStatus(p, slaSettings, now);
+                return {
+                    proposalId: p.id,
+                    projectName: p.projectName,
+                    clientCompany: p.clientCompany,
+                    status: p.status,
+                    priority: p.priority || 'Medium',
+                    version: p.version || 1,
+                    dueAt,
+                    overdue,
+                    hoursOverdue,
+                    assignedEstimatorUid: p.assignedEstimatorUid || null,
+                    assignedEstimatorName: p.assignedEstimatorName || null,
+                    assignedAt: p.assignedAt || null,
+                    createdAtMs: p.createdAt?.toMillis?.() || 0
+                };
+            });
+
+        const { assignee } = req.query;
+        if (assignee === 'me') {
+            items = items.filter(item => item.assignedEstimatorUid === req.user.uid);
+        } else if (assignee === 'unassigned') {
+            items = items.filter(item => !item.assignedEstimatorUid);
+        } else if (assignee) {
+            items = items.filter(item => item.assignedEstimatorUid === assignee);
+        } else if (req.user.role === 'estimator') {
+            items = items.filter(item => !item.assignedEstimatorUid || item.assignedEstimatorUid === req.user.uid);
+        }
+
+        items.sort(compareQueueItems);
+        return res.status(200).json({
+            success: true,
+            data: items.map(({ createdAtMs, ...item }) => item),
+            counts: {
+                total: items.length,
+                unassigned: items.filter(item => !item.assignedEstimatorUid).length,
+                overdue: items.filter(item => item.overdue).length
+            }
+        });
+    } catch (error) {
+        console.error('Work queue API error:', error);
+        return res.status(500).json({ success: false, error: 'Internal Server Error', message: error.message });
+    }
+};
+
+module.exports = allowCors(handler);
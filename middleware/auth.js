@@ -38,22 +38,4 @@ async function verifyToken(req, res, next) {
   }
 }
 
-// This requireRole function can remain as is
-function requireRole(allowedRoles) {
-    return (req, res, next) => {
-        if (!req.user) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
-        const roles = Array.isArray(allowedRoles) ? allowedRoles : [allowedRoles];
-        if (!roles.includes(req.user.role)) {
-            return res.status(403).json({
-                success: false,
-                error: 'Insufficient permissions',
-                message: `Your role is '${req.user.role}'. Required: ${roles.join(', ')}`,
-            });
-        }
-        next();
-    };
-}
-
-module.exports = { verifyToken, requireRole };
+module.exports = { verifyToken };